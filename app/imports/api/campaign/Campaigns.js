@@ -1,11 +1,487 @@
 import SimpleSchema from 'simpl-schema';
+import { ValidatedMethod } from 'meteor/mdg:validated-method';
+import { RateLimiterMixin } from 'ddp-rate-limiter-mixin';
+import { assertOwnership } from '/imports/api/sharing/sharingPermissions.js';
+import Creatures from '/imports/api/creature/Creatures.js';
+import Libraries from '/imports/api/library/Libraries.js';
+import { recomputeCreatureById } from '/imports/api/creature/computation/recomputeCreature.js';
 
+/**
+ * Campaigns are run by their owner, the GM, for the players they invite.
+ *
+ * Players add their characters to the campaign, which shares those characters
+ * with the GM through the creatures' readers and writers. Libraries attached to
+ * the campaign are available to every player.
+ */
 let Campaigns = new Mongo.Collection('campaigns');
 
-let CampaignSchema = new SimpleSchema({
+let CampaignSettingsSchema = new SimpleSchema({
+  // Characters that join give the GM write access instead of read access
+  gmWriteAccess: {
+    type: Boolean,
+    defaultValue: false,
+  },
+  // The total XP needed to reach each level for characters in this campaign
+  xpTable: {
+    type: Array,
+    optional: true,
+    maxCount: 50,
+  },
+  'xpTable.$': {
+    type: SimpleSchema.Integer,
+    min: 0,
+  },
+});
 
+let CampaignSchema = new SimpleSchema({
+  name: {
+    type: String,
+    defaultValue: 'New Campaign',
+  },
+  // The GM
+  owner: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+    index: 1,
+  },
+  // The invited players
+  players: {
+    type: Array,
+    defaultValue: [],
+    index: 1,
+    maxCount: 50,
+  },
+  'players.$': {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+  },
+  // The player characters taking part in the campaign
+  creatures: {
+    type: Array,
+    defaultValue: [],
+    index: 1,
+    maxCount: 50,
+  },
+  'creatures.$': {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+  },
+  libraries: {
+    type: Array,
+    defaultValue: [],
+    index: 1,
+    maxCount: 50,
+  },
+  'libraries.$': {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+  },
+  // The access to member creatures the campaign gave the GM, so leaving the
+  // campaign only takes away what joining it gave
+  gmAccessGrants: {
+    type: Array,
+    defaultValue: [],
+    maxCount: 50,
+  },
+  'gmAccessGrants.$': {
+    type: Object,
+  },
+  'gmAccessGrants.$.creatureId': {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+  },
+  // readers or writers
+  'gmAccessGrants.$.added': {
+    type: String,
+    allowedValues: ['readers', 'writers'],
+  },
+  // The GM was a reader before being made a writer
+  'gmAccessGrants.$.wasReader': {
+    type: Boolean,
+    optional: true,
+  },
+  sessionNumber: {
+    type: SimpleSchema.Integer,
+    defaultValue: 0,
+    min: 0,
+  },
+  settings: {
+    type: CampaignSettingsSchema,
+    defaultValue: {},
+  },
 });
 
 Campaigns.attachSchema(CampaignSchema);
 
 export default Campaigns;
+
+const campaignIdSchema = {
+  campaignId: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+  },
+};
+
+// A GM can only share the libraries they own, can edit or are public with their
+// players, being able to read a library isn't enough to share it
+export function shareableLibraryFilter(gmId){
+  return {
+    $or: [
+      {owner: gmId},
+      {writers: gmId},
+      {public: true},
+    ],
+  };
+}
+
+function assertGmOrPlayer(campaign, userId){
+  if (campaign && campaign.players.includes(userId)) return;
+  assertOwnership(campaign, userId);
+}
+
+// Share the creature with the GM, as a reader or as a writer depending on the
+// campaign's settings. Returns the access that was granted, if any.
+function grantGmAccess(campaign, creature){
+  let gm = campaign.owner;
+  if (creature.owner === gm || creature.writers.includes(gm)) return;
+  let wasReader = creature.readers.includes(gm);
+  if (campaign.settings.gmWriteAccess){
+    Creatures.update(creature._id, {
+      $addToSet: {writers: gm},
+      $pull: {readers: gm},
+    });
+    return {creatureId: creature._id, added: 'writers', wasReader};
+  } else if (!wasReader){
+    Creatures.update(creature._id, {
+      $addToSet: {readers: gm},
+    });
+    return {creatureId: creature._id, added: 'readers'};
+  }
+}
+
+// Only take away the access the campaign granted, sharing the owner set up
+// before joining is kept
+function revokeGmAccess(campaign, creatureId){
+  let grant = campaign.gmAccessGrants.find(
+    grant => grant.creatureId === creatureId
+  );
+  if (!grant) return;
+  let modifier = {$pull: {[grant.added]: campaign.owner}};
+  if (grant.wasReader) modifier.$addToSet = {readers: campaign.owner};
+  Creatures.update(creatureId, modifier);
+}
+
+const insertCampaign = new ValidatedMethod({
+  name: 'campaigns.insert',
+  validate: new SimpleSchema({
+    name: {
+      type: String,
+      optional: true,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({name}) {
+    if (!this.userId) {
+      throw new Meteor.Error('Campaigns.methods.insert.denied',
+      'You need to be logged in to insert a campaign');
+    }
+    return Campaigns.insert({name, owner: this.userId});
+  },
+});
+
+const updateCampaign = new ValidatedMethod({
+  name: 'campaigns.update',
+  validate: new SimpleSchema({
+    ...campaignIdSchema,
+    name: {
+      type: String,
+      optional: true,
+    },
+    sessionNumber: {
+      type: SimpleSchema.Integer,
+      min: 0,
+      optional: true,
+    },
+    // Changing this only affects characters that join afterwards, GMs can't
+    // give themselves write access to characters that are already members
+    gmWriteAccess: {
+      type: Boolean,
+      optional: true,
+    },
+    // Set to null to go back to the default XP table
+    xpTable: {
+      type: Array,
+      optional: true,
+      maxCount: 50,
+    },
+    'xpTable.$': {
+      type: SimpleSchema.Integer,
+      min: 0,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({campaignId, name, sessionNumber, gmWriteAccess, xpTable}) {
+    let campaign = Campaigns.findOne(campaignId);
+    assertOwnership(campaign, this.userId);
+    let $set = {};
+    let $unset = {};
+    if (name !== undefined) $set.name = name;
+    if (sessionNumber !== undefined) $set.sessionNumber = sessionNumber;
+    if (gmWriteAccess !== undefined){
+      $set['settings.gmWriteAccess'] = gmWriteAccess;
+    }
+    if (xpTable){
+      $set['settings.xpTable'] = xpTable;
+    } else if (xpTable === null){
+      $unset['settings.xpTable'] = 1;
+    }
+    let modifier = {};
+    if (Object.keys($set).length) modifier.$set = $set;
+    if (Object.keys($unset).length) modifier.$unset = $unset;
+    if (!Object.keys(modifier).length) return;
+    Campaigns.update(campaignId, modifier);
+    // The XP table changes the computed XP level of every member
+    if (xpTable !== undefined){
+      campaign.creatures.forEach(
+        creatureId => recomputeCreatureById(creatureId)
+      );
+    }
+  },
+});
+
+// Start the next session of the campaign
+const incrementSessionNumber = new ValidatedMethod({
+  name: 'campaigns.incrementSessionNumber',
+  validate: new SimpleSchema(campaignIdSchema).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({campaignId}) {
+    let campaign = Campaigns.findOne(campaignId);
+    assertOwnership(campaign, this.userId);
+    Campaigns.update(campaignId, {$inc: {sessionNumber: 1}});
+  },
+});
+
+const removeCampaign = new ValidatedMethod({
+  name: 'campaigns.remove',
+  validate: new SimpleSchema(campaignIdSchema).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({campaignId}) {
+    let campaign = Campaigns.findOne(campaignId);
+    assertOwnership(campaign, this.userId);
+    campaign.creatures.forEach(
+      creatureId => revokeGmAccess(campaign, creatureId)
+    );
+    Campaigns.remove(campaignId);
+  },
+});
+
+const invitePlayer = new ValidatedMethod({
+  name: 'campaigns.invitePlayer',
+  validate: new SimpleSchema({
+    ...campaignIdSchema,
+    userId: {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({campaignId, userId}) {
+    let campaign = Campaigns.findOne(campaignId);
+    assertOwnership(campaign, this.userId);
+    if (userId === campaign.owner){
+      throw new Meteor.Error('Invite failed',
+        'The GM can not be a player in their own campaign');
+    }
+    Campaigns.update(campaignId, {$addToSet: {players: userId}});
+  },
+});
+
+// The GM can remove a player and players can leave, taking their characters
+// out of the campaign with them
+const removePlayer = new ValidatedMethod({
+  name: 'campaigns.removePlayer',
+  validate: new SimpleSchema({
+    ...campaignIdSchema,
+    userId: {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({campaignId, userId}) {
+    let campaign = Campaigns.findOne(campaignId);
+    if (userId !== this.userId){
+      assertOwnership(campaign, this.userId);
+    }
+    if (!campaign) return;
+    let creatureIds = Creatures.find({
+      _id: {$in: campaign.creatures},
+      owner: userId,
+    }, {
+      fields: {_id: 1},
+    }).map(creature => creature._id);
+    creatureIds.forEach(creatureId => revokeGmAccess(campaign, creatureId));
+    Campaigns.update(campaignId, {
+      $pull: {
+        players: userId,
+        gmAccessGrants: {creatureId: {$in: creatureIds}},
+      },
+      $pullAll: {creatures: creatureIds},
+    });
+  },
+});
+
+// Players add the characters they own, sharing them with the GM
+const addCreatureToCampaign = new ValidatedMethod({
+  name: 'campaigns.addCreature',
+  validate: new SimpleSchema({
+    ...campaignIdSchema,
+    creatureId: {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({campaignId, creatureId}) {
+    let campaign = Campaigns.findOne(campaignId);
+    assertGmOrPlayer(campaign, this.userId);
+    let creature = Creatures.findOne(creatureId, {
+      fields: {owner: 1, readers: 1, writers: 1},
+    });
+    // Only the owner of a creature can share it
+    assertOwnership(creature, this.userId);
+    if (campaign.creatures.includes(creatureId)) return;
+    let grant = grantGmAccess(campaign, creature);
+    let modifier = {$addToSet: {creatures: creatureId}};
+    if (grant) modifier.$push = {gmAccessGrants: grant};
+    Campaigns.update(campaignId, modifier);
+    // Joining can change the creature's XP table
+    if (campaign.settings.xpTable) recomputeCreatureById(creatureId);
+  },
+});
+
+const removeCreatureFromCampaign = new ValidatedMethod({
+  name: 'campaigns.removeCreature',
+  validate: new SimpleSchema({
+    ...campaignIdSchema,
+    creatureId: {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({campaignId, creatureId}) {
+    let campaign = Campaigns.findOne(campaignId);
+    let creature = Creatures.findOne(creatureId, {fields: {owner: 1}});
+    // The GM or the owner of the creature can remove it
+    if (!creature || creature.owner !== this.userId){
+      assertOwnership(campaign, this.userId);
+    }
+    if (!campaign || !campaign.creatures.includes(creatureId)) return;
+    revokeGmAccess(campaign, creatureId);
+    Campaigns.update(campaignId, {$pull: {
+      creatures: creatureId,
+      gmAccessGrants: {creatureId},
+    }});
+    if (campaign.settings.xpTable) recomputeCreatureById(creatureId);
+  },
+});
+
+// Attach a library the GM can share, making it available to all the players
+const addLibraryToCampaign = new ValidatedMethod({
+  name: 'campaigns.addLibrary',
+  validate: new SimpleSchema({
+    ...campaignIdSchema,
+    libraryId: {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({campaignId, libraryId}) {
+    let campaign = Campaigns.findOne(campaignId);
+    assertOwnership(campaign, this.userId);
+    let library = Libraries.findOne({
+      _id: libraryId,
+      ...shareableLibraryFilter(this.userId),
+    }, {
+      fields: {_id: 1},
+    });
+    if (!library){
+      throw new Meteor.Error('Permission denied',
+        'You can only add libraries you own, can edit or are public');
+    }
+    Campaigns.update(campaignId, {$addToSet: {libraries: libraryId}});
+  },
+});
+
+const removeLibraryFromCampaign = new ValidatedMethod({
+  name: 'campaigns.removeLibrary',
+  validate: new SimpleSchema({
+    ...campaignIdSchema,
+    libraryId: {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({campaignId, libraryId}) {
+    let campaign = Campaigns.findOne(campaignId);
+    assertOwnership(campaign, this.userId);
+    Campaigns.update(campaignId, {$pull: {libraries: libraryId}});
+  },
+});
+
+export {
+  CampaignSchema,
+  insertCampaign,
+  updateCampaign,
+  incrementSessionNumber,
+  removeCampaign,
+  invitePlayer,
+  removePlayer,
+  addCreatureToCampaign,
+  removeCreatureFromCampaign,
+  addLibraryToCampaign,
+  removeLibraryFromCampaign,
+};
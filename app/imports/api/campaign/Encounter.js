@@ -1,14 +1,36 @@
 import SimpleSchema from 'simpl-schema';
+import { ValidatedMethod } from 'meteor/mdg:validated-method';
+import { RateLimiterMixin } from 'ddp-rate-limiter-mixin';
+import SharingSchema from '/imports/api/sharing/SharingSchema.js';
+import { assertEditPermission, assertOwnership } from '/imports/api/sharing/sharingPermissions.js';
+import { assertEditPermission as assertCreatureEditPermission } from '/imports/api/creature/creaturePermissions.js';
+import Creatures from '/imports/api/creature/Creatures.js';
+import rollCheck, { checkText } from '/imports/api/creature/actions/rollCheck.js';
+import applyTriggers from '/imports/api/creature/actions/applyTriggers.js';
+import tickBuffDurations from '/imports/api/creature/tickBuffDurations.js';
+import { logEvent, logRoll } from '/imports/api/creature/log/CreatureLogs.js';
+import { recomputeCreatureById } from '/imports/api/creature/computation/recomputeCreature.js';
 
 let Encounters = new Mongo.Collection('encounters');
 
 const CreatureInitiativeSchema = new SimpleSchema({
+  creatureId: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+  },
   name: {
     type: String,
     optional: true,
   },
+  // Unset until initiative is rolled
   initiativeRoll: {
     type: SimpleSchema.Integer,
+    optional: true,
+  },
+  // Dexterity breaks ties in initiative
+  dexterity: {
+    type: Number,
+    optional: true,
   },
 });
 
@@ -29,6 +51,7 @@ const InitiativeSchema = new SimpleSchema({
     type: SimpleSchema.Integer,
     defaultValue: 0,
   },
+  // The index in the initiative order of the creature taking its turn
   initiativeNumber: {
     type: SimpleSchema.Integer,
     optional: true,
@@ -48,6 +71,329 @@ let EncounterSchema = new SimpleSchema({
   },
 });
 
+EncounterSchema.extend(SharingSchema);
+
 Encounters.attachSchema(EncounterSchema);
 
 export default Encounters;
+
+const encounterIdSchema = {
+  encounterId: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+  },
+};
+
+function getEditableEncounter(encounterId, userId){
+  let encounter = Encounters.findOne(encounterId);
+  assertEditPermission(encounter, userId);
+  return encounter;
+}
+
+// Sharing can change after a creature was added to the encounter, so check
+// edit permission again on every creature before changing it. Creatures that
+// no longer exist are skipped.
+function assertCreaturesEditable(creatureIds, userId){
+  Creatures.find({
+    _id: {$in: creatureIds},
+  }, {
+    fields: {owner: 1, writers: 1},
+  }).forEach(creature => assertCreatureEditPermission(creature, userId));
+}
+
+const insertEncounter = new ValidatedMethod({
+  name: 'encounters.insert',
+  validate: new SimpleSchema({
+    name: {
+      type: String,
+      optional: true,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({name}) {
+    if (!this.userId) {
+      throw new Meteor.Error('Encounters.methods.insert.denied',
+      'You need to be logged in to insert an encounter');
+    }
+    return Encounters.insert({name, owner: this.userId});
+  },
+});
+
+const removeEncounter = new ValidatedMethod({
+  name: 'encounters.remove',
+  validate: new SimpleSchema(encounterIdSchema).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({encounterId}) {
+    let encounter = Encounters.findOne(encounterId);
+    assertOwnership(encounter, this.userId);
+    Encounters.remove(encounterId);
+  },
+});
+
+const addCreaturesToEncounter = new ValidatedMethod({
+  name: 'encounters.addCreatures',
+  validate: new SimpleSchema({
+    ...encounterIdSchema,
+    creatureIds: {
+      type: Array,
+      maxCount: 20,
+    },
+    'creatureIds.$': {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({encounterId, creatureIds}) {
+    let encounter = getEditableEncounter(encounterId, this.userId);
+    let creatures = creatureIds.map(creatureId => {
+      let creature = Creatures.findOne(creatureId, {
+        fields: {owner: 1, writers: 1, name: 1},
+      });
+      // Taking turns changes the creatures, so they must be editable
+      assertCreatureEditPermission(creature, this.userId);
+      let otherEncounter = Encounters.findOne({
+        'initiative.creatures.creatureId': creatureId,
+      }, {
+        fields: {_id: 1, name: 1},
+      });
+      if (otherEncounter && otherEncounter._id !== encounter._id){
+        throw new Meteor.Error('Already in an encounter',
+          `${creature.name || 'The creature'} is already in ` +
+          `${otherEncounter.name || 'another encounter'}`);
+      }
+      return creature;
+    }).filter(creature => !encounter.initiative.creatures.some(
+      initiative => initiative.creatureId === creature._id
+    ));
+    if (!creatures.length) return;
+    Encounters.update(encounterId, {$push: {
+      'initiative.creatures': {$each: creatures.map(creature => ({
+        creatureId: creature._id,
+        name: creature.name,
+      }))},
+    }});
+  },
+});
+
+const removeCreatureFromEncounter = new ValidatedMethod({
+  name: 'encounters.removeCreature',
+  validate: new SimpleSchema({
+    ...encounterIdSchema,
+    creatureId: {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({encounterId, creatureId}) {
+    let encounter = getEditableEncounter(encounterId, this.userId);
+    let {creatures, initiativeNumber} = encounter.initiative;
+    let index = creatures.findIndex(
+      initiative => initiative.creatureId === creatureId
+    );
+    if (index === -1) return;
+    let $set = {
+      'initiative.creatures': creatures.filter((c, i) => i !== index),
+    };
+    // Keep the turn with the same creature when an earlier one is removed
+    if (typeof initiativeNumber === 'number' && index < initiativeNumber){
+      $set['initiative.initiativeNumber'] = initiativeNumber - 1;
+    } else if (
+      index === initiativeNumber && index >= creatures.length - 1
+    ){
+      $set['initiative.initiativeNumber'] = 0;
+    }
+    Encounters.update(encounterId, {$set});
+  },
+});
+
+// Creatures that haven't rolled go last, ties go to the higher dexterity
+function compareInitiative(a, b){
+  let rollA = a.initiativeRoll === undefined ? -Infinity : a.initiativeRoll;
+  let rollB = b.initiativeRoll === undefined ? -Infinity : b.initiativeRoll;
+  if (rollA !== rollB) return rollB - rollA;
+  return (b.dexterity || 0) - (a.dexterity || 0);
+}
+
+// Roll each creature's initiative skill and sort the initiative order
+const rollInitiative = new ValidatedMethod({
+  name: 'encounters.rollInitiative',
+  validate: new SimpleSchema(encounterIdSchema).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({encounterId}) {
+    let encounter = getEditableEncounter(encounterId, this.userId);
+    assertCreaturesEditable(
+      encounter.initiative.creatures.map(initiative => initiative.creatureId),
+      this.userId
+    );
+    let creatures = encounter.initiative.creatures.map(initiative => {
+      let creature = Creatures.findOne(initiative.creatureId, {
+        fields: {name: 1, variables: 1},
+      });
+      if (!creature) return initiative;
+      let variables = creature.variables || {};
+      let check;
+      logEvent({name: 'Initiative', creature}, () => {
+        check = rollCheck({stat: variables.initiative, scope: variables});
+        logRoll({
+          name: 'Initiative',
+          text: checkText(check),
+          total: check.total,
+        });
+      });
+      return {
+        ...initiative,
+        name: creature.name,
+        initiativeRoll: check.total,
+        dexterity: variables.dexterity && variables.dexterity.value,
+      };
+    });
+    creatures.sort(compareInitiative);
+    Encounters.update(encounterId, {$set: {
+      'initiative.creatures': creatures,
+    }});
+  },
+});
+
+// Fire the turn triggers of the creature in the given place in the order
+function applyTurnTriggers(initiative, event){
+  if (!initiative) return;
+  let creature = Creatures.findOne(initiative.creatureId);
+  if (!creature) return;
+  logEvent({
+    name: event === 'turnStart' ? 'Turn start' : 'Turn end',
+    creature,
+  }, () => {
+    applyTriggers({creature, event});
+  });
+  recomputeCreatureById(creature._id);
+}
+
+const startCombat = new ValidatedMethod({
+  name: 'encounters.startCombat',
+  validate: new SimpleSchema(encounterIdSchema).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({encounterId}) {
+    let encounter = getEditableEncounter(encounterId, this.userId);
+    if (encounter.initiative.active){
+      throw new Meteor.Error('Combat already started',
+        'This encounter is already in combat');
+    }
+    if (!encounter.initiative.creatures.length){
+      throw new Meteor.Error('No creatures',
+        'Add creatures to the encounter before starting combat');
+    }
+    let first = encounter.initiative.creatures[0];
+    assertCreaturesEditable([first.creatureId], this.userId);
+    Encounters.update(encounterId, {$set: {
+      'initiative.active': true,
+      'initiative.roundNumber': 1,
+      'initiative.initiativeNumber': 0,
+    }});
+    applyTurnTriggers(first, 'turnStart');
+  },
+});
+
+const endCombat = new ValidatedMethod({
+  name: 'encounters.endCombat',
+  validate: new SimpleSchema(encounterIdSchema).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({encounterId}) {
+    getEditableEncounter(encounterId, this.userId);
+    Encounters.update(encounterId, {
+      $set: {
+        'initiative.active': false,
+        'initiative.roundNumber': 0,
+      },
+      $unset: {
+        'initiative.initiativeNumber': 1,
+      },
+    });
+  },
+});
+
+// End the current creature's turn and start the next one's. Once everyone has
+// had a turn a new round starts and a round passes for every creature's buffs.
+const advanceTurn = new ValidatedMethod({
+  name: 'encounters.advanceTurn',
+  validate: new SimpleSchema(encounterIdSchema).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 10,
+    timeInterval: 5000,
+  },
+  run({encounterId}) {
+    let encounter = getEditableEncounter(encounterId, this.userId);
+    let {creatures, active, roundNumber} = encounter.initiative;
+    if (!active){
+      throw new Meteor.Error('Not in combat',
+        'Start combat before advancing the turn');
+    }
+    let current = encounter.initiative.initiativeNumber || 0;
+    let next = current + 1;
+    let newRound = next >= creatures.length;
+    // A new round changes the buffs of every creature
+    let changed = newRound ? creatures : [creatures[current], creatures[next]];
+    assertCreaturesEditable(
+      changed
+        .filter(initiative => initiative)
+        .map(initiative => initiative.creatureId),
+      this.userId
+    );
+    applyTurnTriggers(creatures[current], 'turnEnd');
+    if (newRound){
+      next = 0;
+      roundNumber += 1;
+      creatures.forEach(({creatureId}) => {
+        tickBuffDurations({creatureId, rounds: 1});
+        recomputeCreatureById(creatureId);
+      });
+    }
+    Encounters.update(encounterId, {$set: {
+      'initiative.roundNumber': roundNumber,
+      'initiative.initiativeNumber': next,
+    }});
+    applyTurnTriggers(creatures[next], 'turnStart');
+  },
+});
+
+export {
+  EncounterSchema,
+  insertEncounter,
+  removeEncounter,
+  addCreaturesToEncounter,
+  removeCreatureFromEncounter,
+  rollInitiative,
+  startCombat,
+  endCombat,
+  advanceTurn,
+};
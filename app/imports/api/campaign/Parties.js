@@ -1,4 +1,8 @@
 import SimpleSchema from 'simpl-schema';
+import { ValidatedMethod } from 'meteor/mdg:validated-method';
+import { RateLimiterMixin } from 'ddp-rate-limiter-mixin';
+import { assertOwnership } from '/imports/api/sharing/sharingPermissions.js';
+import { assertViewPermission } from '/imports/api/creature/creaturePermissions.js';
 
 let Parties = new Mongo.Collection('parties');
 
@@ -21,8 +25,173 @@ let partySchema = new SimpleSchema({
 		type: String,
 		regEx: SimpleSchema.RegEx.Id,
 	},
+	// The position of the party among its owner's parties
+	order: {
+		type: SimpleSchema.Integer,
+		defaultValue: 0,
+		index: 1,
+	},
 });
 
 Parties.attachSchema(partySchema);
 
 export default Parties;
+
+const partyIdSchema = {
+	partyId: {
+		type: String,
+		regEx: SimpleSchema.RegEx.Id,
+	},
+};
+
+const insertParty = new ValidatedMethod({
+	name: 'parties.insert',
+	validate: new SimpleSchema({
+		name: {
+			type: String,
+			optional: true,
+		},
+	}).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+	run({name}){
+		if (!this.userId) {
+			throw new Meteor.Error('Parties.methods.insert.denied',
+			'You need to be logged in to insert a party');
+		}
+		let order = Parties.find({owner: this.userId}).count();
+		return Parties.insert({name, owner: this.userId, order});
+	},
+});
+
+const updatePartyName = new ValidatedMethod({
+	name: 'parties.updateName',
+	validate: new SimpleSchema({
+		...partyIdSchema,
+		name: {
+			type: String,
+		},
+	}).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+	run({partyId, name}){
+		let party = Parties.findOne(partyId);
+		assertOwnership(party, this.userId);
+		Parties.update(partyId, {$set: {name}});
+	},
+});
+
+const removeParty = new ValidatedMethod({
+	name: 'parties.remove',
+	validate: new SimpleSchema(partyIdSchema).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+	run({partyId}){
+		let party = Parties.findOne(partyId);
+		assertOwnership(party, this.userId);
+		Parties.remove(partyId);
+		// Close the gap the party left in the order
+		Parties.update({
+			owner: this.userId,
+			order: {$gt: party.order},
+		}, {
+			$inc: {order: -1},
+		}, {
+			multi: true,
+		});
+	},
+});
+
+// Move a party to a new position among its owner's parties
+const reorderParty = new ValidatedMethod({
+	name: 'parties.reorder',
+	validate: new SimpleSchema({
+		...partyIdSchema,
+		order: {
+			type: SimpleSchema.Integer,
+			min: 0,
+		},
+	}).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 10,
+    timeInterval: 5000,
+  },
+	run({partyId, order}){
+		let party = Parties.findOne(partyId);
+		assertOwnership(party, this.userId);
+		let parties = Parties.find({
+			owner: this.userId,
+			_id: {$ne: partyId},
+		}, {
+			sort: {order: 1, name: 1},
+			fields: {order: 1},
+		}).fetch();
+		parties.splice(Math.min(order, parties.length), 0, party);
+		parties.forEach((doc, index) => {
+			if (doc.order === index && doc._id !== partyId) return;
+			Parties.update(doc._id, {$set: {order: index}});
+		});
+	},
+});
+
+const addCreatureToParty = new ValidatedMethod({
+	name: 'parties.addCreature',
+	validate: new SimpleSchema({
+		...partyIdSchema,
+		creatureId: {
+			type: String,
+			regEx: SimpleSchema.RegEx.Id,
+		},
+	}).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+	run({partyId, creatureId}){
+		let party = Parties.findOne(partyId);
+		assertOwnership(party, this.userId);
+		assertViewPermission(creatureId, this.userId);
+		Parties.update(partyId, {$addToSet: {creatures: creatureId}});
+	},
+});
+
+const removeCreatureFromParty = new ValidatedMethod({
+	name: 'parties.removeCreature',
+	validate: new SimpleSchema({
+		...partyIdSchema,
+		creatureId: {
+			type: String,
+			regEx: SimpleSchema.RegEx.Id,
+		},
+	}).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+	run({partyId, creatureId}){
+		let party = Parties.findOne(partyId);
+		assertOwnership(party, this.userId);
+		Parties.update(partyId, {$pull: {creatures: creatureId}});
+	},
+});
+
+export {
+	insertParty,
+	updatePartyName,
+	removeParty,
+	reorderParty,
+	addCreatureToParty,
+	removeCreatureFromParty,
+};
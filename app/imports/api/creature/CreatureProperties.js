@@ -19,8 +19,10 @@ import {
 } from '/imports/api/parenting/parenting.js';
 import {setDocToLastOrder} from '/imports/api/parenting/order.js';
 import { storedIconsSchema } from '/imports/api/icons/Icons.js';
+import { logEvent, logHealthChange, logResourceSpent, logUndo } from '/imports/api/creature/log/CreatureLogs.js';
 
 import '/imports/api/creature/actions/doAction.js';
+import '/imports/api/creature/actions/castSpell.js';
 
 let CreatureProperties = new Mongo.Collection('creatureProperties');
 
@@ -233,6 +235,11 @@ const updateProperty = new ValidatedMethod({
 });
 
 export function damagePropertyWork({property, operation, value}){
+  logUndo({
+    collection: 'creatureProperties',
+    id: property._id,
+    fields: {damage: property.damage},
+  });
   if (operation === 'set'){
     let currentValue = property.value;
     // Set represents what we want the value to be after damage
@@ -247,6 +254,7 @@ export function damagePropertyWork({property, operation, value}){
     }, {
       selector: property
     });
+    logDamage(property, damage - (property.damage || 0));
   } else if (operation === 'increment'){
     let currentValue = property.value - (property.damage || 0);
     let currentDamage = property.damage;
@@ -260,9 +268,19 @@ export function damagePropertyWork({property, operation, value}){
     }, {
       selector: property
     });
+    logDamage(property, increment);
   }
 }
 
+function logDamage(property, damage){
+  if (property.attributeType !== 'healthBar') return;
+  logHealthChange({
+    creatureId: property.ancestors[0].id,
+    name: property.name,
+    change: -damage,
+  });
+}
+
 const damageProperty = new ValidatedMethod({
   name: 'creatureProperties.damage',
   validate: new SimpleSchema({
@@ -290,7 +308,12 @@ const damageProperty = new ValidatedMethod({
 				`Property of type "${currentProperty.type}" can't be damaged`
 			);
 		}
-		damagePropertyWork({property: currentProperty, operation, value})
+		logEvent({
+			name: currentProperty.name,
+			creature: getCreature(currentProperty),
+		}, () => {
+			damagePropertyWork({property: currentProperty, operation, value});
+		});
 		recomputeCreatures(currentProperty);
   },
 });
@@ -304,12 +327,21 @@ export function adjustQuantityWork({property, operation, value}){
       `Property of type "${property.type}" doesn't have a quantity`
     );
   }
+  logUndo({
+    collection: 'creatureProperties',
+    id: property._id,
+    fields: {quantity: property.quantity},
+  });
   if (operation === 'set'){
     CreatureProperties.update(property._id, {
       $set: {quantity: value}
     }, {
       selector: property
     });
+    logResourceSpent({
+      name: property.name,
+      quantity: (property.quantity || 0) - value,
+    });
   } else if (operation === 'increment'){
     // value here is 'damage'
     value = -value;
@@ -320,6 +352,7 @@ export function adjustQuantityWork({property, operation, value}){
     }, {
       selector: property
     });
+    logResourceSpent({name: property.name, quantity: -value});
   }
 }
 
@@ -342,7 +375,12 @@ const adjustQuantity = new ValidatedMethod({
 		let currentProperty = CreatureProperties.findOne(_id);
 		// Check permissions
 		assertPropertyEditPermission(currentProperty, this.userId);
-    adjustQuantityWork({property: currentProperty, operation, value});
+    logEvent({
+      name: currentProperty.name,
+      creature: getCreature(currentProperty),
+    }, () => {
+      adjustQuantityWork({property: currentProperty, operation, value});
+    });
     recomputeCreatures(currentProperty);
   },
 });
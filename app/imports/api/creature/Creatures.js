@@ -6,9 +6,12 @@ import ColorSchema from '/imports/api/properties/subSchemas/ColorSchema.js';
 import SharingSchema from '/imports/api/sharing/SharingSchema.js';
 import {assertEditPermission} from '/imports/api/sharing/sharingPermissions.js';
 import { getUserTier } from '/imports/api/users/patreon/tiers.js';
+import { recomputeCreatureById } from '/imports/api/creature/computation/recomputeCreature.js';
 
 import '/imports/api/creature/removeCreature.js';
 import '/imports/api/creature/restCreature.js';
+import '/imports/api/creature/deathSaves.js';
+import '/imports/api/creature/log/undoLogEntry.js';
 
 //set up the collection for creatures
 let Creatures = new Mongo.Collection('creatures');
@@ -40,7 +43,17 @@ let CreatureSettingsSchema = new SimpleSchema({
     optional: true,
     min: 0,
     max: 1,
-  }
+  },
+  // The total XP needed to reach each level, overrides the campaign's table
+  xpTable: {
+    type: Array,
+    optional: true,
+    maxCount: 50,
+  },
+  'xpTable.$': {
+    type: SimpleSchema.Integer,
+    min: 0,
+  },
 });
 
 let CreatureSchema = new SimpleSchema({
@@ -71,6 +84,20 @@ let CreatureSchema = new SimpleSchema({
 		type: deathSaveSchema,
 		defaultValue: {},
 	},
+  // The spell this creature is concentrating on, the buffs it applied are
+  // removed when concentration ends
+  concentration: {
+    type: Object,
+    optional: true,
+  },
+  'concentration.propId': {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+  },
+  'concentration.name': {
+    type: String,
+    optional: true,
+  },
   // Stats that are computed and denormalised outside of recomputation
   denormalizedStats: {
     type: Object,
@@ -188,6 +215,10 @@ const updateCreature = new ValidatedMethod({
         $set: {[path.join('.')]: value},
       });
     }
+    // The XP table changes the computed XP level
+    if (path[0] === 'settings' && path[1] === 'xpTable'){
+      recomputeCreatureById(_id);
+    }
   },
 });
 
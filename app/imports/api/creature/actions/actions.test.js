@@ -0,0 +1,129 @@
+import { Meteor } from 'meteor/meteor';
+import { Random } from 'meteor/random';
+import assert from 'assert';
+import Creatures from '/imports/api/creature/Creatures.js';
+import CreatureProperties from '/imports/api/creature/CreatureProperties.js';
+import { doActionWork } from '/imports/api/creature/actions/doAction.js';
+import { damageCreature } from '/imports/api/creature/actions/applyDamage.js';
+import CreatureLogs, { logEvent } from '/imports/api/creature/log/CreatureLogs.js';
+import { averageRng, seededRng } from '/imports/parser/rng.js';
+
+let order = 0;
+
+function insertCreature(name){
+  let creatureId = Creatures.insert({owner: Random.id(), name});
+  return Creatures.findOne(creatureId);
+}
+
+// Insert a property as the last child of the creature or of a parent property
+function insertProperty(creature, prop, parent){
+  let parentRef = parent ?
+    {id: parent._id, collection: 'creatureProperties'} :
+    {id: creature._id, collection: 'creatures'};
+  let propId = CreatureProperties.insert({
+    ...prop,
+    order: order++,
+    parent: parentRef,
+    ancestors: parent ? [...parent.ancestors, parentRef] : [parentRef],
+  });
+  return CreatureProperties.findOne(propId);
+}
+
+function insertHealthBar(creature, variableName, value){
+  return insertProperty(creature, {
+    type: 'attribute',
+    attributeType: 'healthBar',
+    name: variableName,
+    variableName,
+    value,
+  });
+}
+
+function getDamage(healthBar){
+  return CreatureProperties.findOne(healthBar._id).damage || 0;
+}
+
+function getBuffs(creature){
+  return CreatureProperties.find({
+    'ancestors.id': creature._id,
+    type: 'buff',
+  }).fetch();
+}
+
+if (Meteor.isServer) describe('actions', function () {
+  it('applies the buffs of an attack to every target it hits', function () {
+    let attacker = insertCreature('Attacker');
+    let targets = [insertCreature('Goblin'), insertCreature('Orc')];
+    let attack = insertProperty(attacker, {
+      type: 'attack',
+      name: 'Marking strike',
+      target: 'multipleTargets',
+      rollBonus: '5',
+    });
+    insertProperty(attacker, {
+      type: 'buff',
+      name: 'Marked',
+      target: 'every',
+    }, attack);
+    // Targets without armor are hit by anything but a natural 1
+    doActionWork({
+      action: attack,
+      creature: attacker,
+      targets,
+      rng: averageRng,
+    });
+    targets.forEach(target => {
+      let buffs = getBuffs(target);
+      assert.equal(buffs.length, 1, `${target.name} should be marked`);
+      assert.equal(buffs[0].applied, true);
+    });
+    // The attacker's own buff is left as it was
+    assert.equal(getBuffs(attacker)[0].applied, false);
+  });
+  it('damages temporary hit points, then hit points only', function () {
+    let creature = insertCreature('Knight');
+    // Listed before the others, but it isn't the knight's health
+    let shield = insertHealthBar(creature, 'shieldHP', 10);
+    let hitPoints = insertHealthBar(creature, 'hitPoints', 20);
+    let tempHP = insertHealthBar(creature, 'tempHP', 5);
+    let totalDamage = damageCreature(creature, 30, 'slashing');
+    assert.equal(totalDamage, 25);
+    assert.equal(getDamage(tempHP), 5);
+    assert.equal(getDamage(hitPoints), 20);
+    assert.equal(getDamage(shield), 0);
+  });
+  it('rolls an action the same way every time with the same seed', function () {
+    let creature = insertCreature('Wizard');
+    let target = insertCreature('Troll');
+    let hitPoints = insertHealthBar(target, 'hitPoints', 100);
+    let action = insertProperty(creature, {
+      type: 'action',
+      name: 'Fire bolt',
+      target: 'singleTarget',
+    });
+    insertProperty(creature, {
+      type: 'damage',
+      amount: '2d10 + 1d4',
+      damageType: 'fire',
+    }, action);
+    let doSeededAction = () => logEvent({
+      name: action.name,
+      creature,
+      targets: [target],
+    }, () => doActionWork({
+      action,
+      creature,
+      targets: [target],
+      rng: seededRng('fire bolt'),
+    }));
+    doSeededAction();
+    doSeededAction();
+    let [first, second] = CreatureLogs.find({creatureId: creature._id}).fetch();
+    assert.equal(first.rolls.length, 1);
+    assert.deepEqual(second.rolls, first.rolls);
+    assert.deepEqual(second.healthChanges, first.healthChanges);
+    let damage = -first.healthChanges[0].change;
+    assert.equal(damage, first.rolls[0].total);
+    assert.equal(getDamage(hitPoints), 2 * damage);
+  });
+});
@@ -0,0 +1,60 @@
+import evaluateAndRollString from '/imports/api/creature/computation/afterComputation/evaluateAndRollString.js';
+import getActiveProperties from '/imports/api/creature/getActiveProperties.js';
+import { damagePropertyWork } from '/imports/api/creature/CreatureProperties.js';
+import { logRoll, logErrors } from '/imports/api/creature/log/CreatureLogs.js';
+
+export default function applyAdjustment({
+  prop,
+  creature,
+  targets = [],
+  actionContext
+}){
+  let adjustmentTargets = prop.target === 'self' ? [creature] : targets;
+  if (!prop.stat || !adjustmentTargets.length) return;
+  let scope = {
+    ...creature.variables,
+    ...actionContext,
+  };
+  // `every` target shares a single roll, `each` target gets its own roll
+  let amount;
+  if (prop.target !== 'each'){
+    amount = rollAmount(prop, scope);
+  }
+  adjustmentTargets.forEach(target => {
+    if (prop.target === 'each'){
+      amount = rollAmount(prop, scope);
+    }
+    if (typeof amount !== 'number') return;
+    let stat = getActiveProperties({
+      ancestorId: target._id,
+      filter: {
+        type: 'attribute',
+        variableName: prop.stat,
+      },
+    })[0];
+    if (!stat){
+      logErrors(`${target.name} has no ${prop.stat} to adjust`);
+      return;
+    }
+    // Positive amounts damage the attribute, negative amounts restore it
+    damagePropertyWork({
+      property: stat,
+      operation: 'increment',
+      value: amount,
+    });
+  });
+}
+
+function rollAmount(prop, scope){
+  let {result, errors, roll} = evaluateAndRollString(prop.amount, scope);
+  logErrors(...errors);
+  if (roll){
+    logRoll({
+      name: prop.stat,
+      text: roll.text,
+      total: roll.total,
+      result: roll,
+    });
+  }
+  return result;
+}
@@ -4,28 +4,59 @@ import {
 } from '/imports/api/parenting/parenting.js';
 import {setDocToLastOrder} from '/imports/api/parenting/order.js';
 import CreatureProperties from '/imports/api/creature/CreatureProperties.js';
+import { safeParse } from '/imports/parser/compute.js';
+import AccessorNode from '/imports/parser/parseTree/AccessorNode.js';
+import ConstantNode from '/imports/parser/parseTree/ConstantNode.js';
+import evaluateAndRollString from '/imports/api/creature/computation/afterComputation/evaluateAndRollString.js';
+import { DURATIONS_IN_ROUNDS } from '/imports/api/creature/tickBuffDurations.js';
+import { logUndo } from '/imports/api/creature/log/CreatureLogs.js';
+import { cloneDeep } from 'lodash';
+
+// The calculation fields of each property type that are frozen when a buff is
+// applied to another creature
+const CALCULATION_FIELDS = {
+  action: ['uses'],
+  adjustment: ['amount'],
+  attack: ['uses', 'rollBonus'],
+  attribute: ['baseValueCalculation', 'spellSlotLevelCalculation'],
+  damage: ['amount'],
+  effect: ['calculation'],
+  roll: ['roll'],
+  savingThrow: ['dc'],
+  skill: ['baseValueCalculation'],
+  spell: ['uses'],
+  spellList: ['maxPrepared'],
+  toggle: ['condition'],
+};
 
 export default function applyBuff({
   prop,
   children,
   creature,
   targets = [],
-  //actionContext,
+  actionContext,
 }){
   let buffTargets = prop.target === 'self' ? [creature] : targets;
 
-  //let scope = {
-  //  ...creature.variables,
-  //  ...actionContext,
-  //};
+  let scope = {
+    ...creature.variables,
+    ...actionContext,
+  };
+  // `target` always refers to the creature the buff is applied to
+  delete scope.target;
 
-  // TODO
-  // If the target is not self, walk through all decendants and replace
-  // variables in calculations with their values from the creature scope
-  // If the target is self, replace all the target.x references with just x
+  // The same tree is applied again for every target an attack hits, so work on
+  // a copy of it
+  prop = cloneDeep(prop);
+  children = cloneDeep(children);
 
-  // Then copy the decendants of the buff to the targets
+  // Get all the properties to copy to the targets
   prop.applied = true;
+  prop.appliedBy = {
+    name: creature.name,
+    id: creature._id,
+    collection: 'creatures',
+  };
   let propList = [prop];
   function addChildrenToPropList(children){
     children.forEach(child => {
@@ -34,13 +65,76 @@ export default function applyBuff({
     });
   }
   addChildrenToPropList(children);
+
+  // If the target is not self, replace variables in calculations with their
+  // values from the caster's scope. Either way, replace all the target.x
+  // references with just x
+  propList.forEach(doc => {
+    let fields = CALCULATION_FIELDS[doc.type] || [];
+    fields.forEach(field => {
+      if (!doc[field] || typeof doc[field] !== 'string') return;
+      doc[field] = freezeCalculation(
+        doc[field],
+        prop.target === 'self' ? undefined : scope
+      );
+    });
+  });
+
+  prop.durationSpent = 0;
+  // Buffs applied by the spell the creature is concentrating on end with it
+  if (
+    creature.concentration &&
+    prop.ancestors.some(ref => ref.id === creature.concentration.propId)
+  ){
+    prop.concentration = true;
+  }
+
   let oldParent = {
     id: prop.parent.id,
     collection: prop.parent.collection,
   };
+  // Roll the duration when the buff is applied, it then ticks down with the
+  // time that passes for each target. `every` target shares a single roll,
+  // `each` target gets its own roll
+  let durationCalculation = DURATIONS_IN_ROUNDS[prop.durationUnit] &&
+    prop.duration;
+  let duration;
+  if (durationCalculation && prop.target !== 'each'){
+    duration = rollDuration(durationCalculation, scope);
+  }
   buffTargets.forEach(target => {
-    copyNodeListToTarget(propList, target, oldParent);
+    if (durationCalculation && prop.target === 'each'){
+      duration = rollDuration(durationCalculation, scope);
+    }
+    if (durationCalculation) prop.duration = duration;
+    copyNodeListToTarget(cloneDeep(propList), target, oldParent);
+  });
+}
+
+function rollDuration(calculation, scope){
+  let {roll} = evaluateAndRollString(calculation, scope);
+  let duration = roll && roll.total;
+  return typeof duration === 'number' ? `${duration}` : undefined;
+}
+
+// Compile the calculation in the caster's scope without rolling any dice, then
+// turn the remaining target.x references into x
+function freezeCalculation(calculation, scope){
+  let frozen = calculation;
+  if (scope){
+    let result = safeParse(calculation).compile(scope);
+    if (result.type !== 'uncompiledNode') return `${result}`;
+    frozen = `${result.value}`;
+  }
+  let node = safeParse(frozen);
+  // Calculations that can't be parsed are left as they are
+  if (node instanceof ConstantNode) return frozen;
+  node.traverse(child => {
+    if (!(child instanceof AccessorNode) || child.name !== 'target') return;
+    child.name = child.path[0];
+    child.path = child.path.slice(1);
   });
+  return node.toString();
 }
 
 function copyNodeListToTarget(propList, target, oldParent){
@@ -58,4 +152,9 @@ function copyNodeListToTarget(propList, target, oldParent){
     doc: propList[0],
   });
   CreatureProperties.batchInsert(propList);
+  propList.forEach(doc => logUndo({
+    type: 'insert',
+    collection: 'creatureProperties',
+    id: doc._id,
+  }));
 }
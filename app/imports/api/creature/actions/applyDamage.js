@@ -1,19 +1,156 @@
 import evaluateAndRollString from '/imports/api/creature/computation/afterComputation/evaluateAndRollString.js';
+import getActiveProperties from '/imports/api/creature/getActiveProperties.js';
+import { damagePropertyWork } from '/imports/api/creature/CreatureProperties.js';
+import { checkConcentration } from '/imports/api/creature/concentration.js';
+import { addDeathSaveFailures, resetDeathSaves } from '/imports/api/creature/deathSaves.js';
+import { logRoll, logErrors } from '/imports/api/creature/log/CreatureLogs.js';
+import applyTriggers from '/imports/api/creature/actions/applyTriggers.js';
+
+// Health bars with this variable name take damage before hit points
+const TEMPORARY_HIT_POINTS = 'tempHP';
+// The creature falls unconscious when this health bar reaches 0
+export const HIT_POINTS = 'hitPoints';
+// Damage and healing only touch these health bars, in this order. Other health
+// bars, like a shield's or a mount's, are changed with adjustments instead
+const DAMAGED_HEALTH_BARS = [TEMPORARY_HIT_POINTS, HIT_POINTS];
 
 export default function applyDamage({
   prop,
   creature,
-  targets,
+  targets = [],
+  // Targets that saved against the damage and only take half
+  halfDamageTargets = [],
   actionContext
 }){
   let damageTargets = prop.target === 'self' ? [creature] : targets;
+  if (prop.target === 'self') halfDamageTargets = [];
   let scope = {
     ...creature.variables,
     ...actionContext,
   };
-  let {result, errors} = evaluateAndRollString(prop.amount, scope);
-  if (Meteor.isClient){
-    errors.forEach(e => console.error(e));
-    console.log(result);
+  // `every` target shares a single roll, `each` target gets its own roll
+  let amount;
+  if (prop.target !== 'each'){
+    amount = rollAmount(prop, scope);
   }
+  let applyToTarget = (target, multiplier) => {
+    if (prop.target === 'each'){
+      amount = rollAmount(prop, scope);
+    }
+    if (typeof amount !== 'number') return;
+    if (prop.damageType === 'healing'){
+      healCreature(target, amount * multiplier);
+    } else {
+      damageCreature(target, amount * multiplier, prop.damageType, creature, {
+        criticalHit: !!scope.criticalHit,
+      });
+    }
+  };
+  damageTargets.forEach(target => applyToTarget(target, 1));
+  halfDamageTargets.forEach(target => applyToTarget(target, 0.5));
+}
+
+// Critical hits roll twice as many damage dice
+function rollAmount(prop, scope){
+  let {errors, roll} = evaluateAndRollString(prop.amount, scope, {
+    doubleDice: !!scope.criticalHit,
+  });
+  logErrors(...errors);
+  if (roll){
+    logRoll({
+      name: prop.damageType === 'healing' ?
+        'Healing' :
+        `${prop.damageType} damage`,
+      text: roll.text,
+      total: roll.total,
+      result: roll,
+    });
+  }
+  return roll && roll.total;
+}
+
+// Apply the creature's weakness, resistance or immunity to the damage type
+// and spread the damage over its temporary hit points, then its hit points.
+// Damage can break the creature's concentration and fires the creature's
+// triggers, with the source of the damage as their target. Damage that reaches
+// hit points already at 0 fails death saves.
+export function damageCreature(
+  creature, amount, damageType, source, {criticalHit} = {}
+){
+  let multiplier = creature.damageMultipliers &&
+    creature.damageMultipliers[damageType];
+  if (typeof multiplier === 'number') amount *= multiplier;
+  let remaining = Math.floor(amount);
+  if (!(remaining > 0)) return 0;
+  let totalDamage = 0;
+  let unconscious = false;
+  let damagedWhileDying = false;
+  getHealthBars(creature).forEach(healthBar => {
+    if (!remaining) return;
+    let currentValue = healthBar.value - (healthBar.damage || 0);
+    if (healthBar.variableName === HIT_POINTS && currentValue <= 0){
+      damagedWhileDying = true;
+    }
+    let damage = Math.min(remaining, currentValue);
+    if (!(damage > 0)) return;
+    damagePropertyWork({
+      property: healthBar,
+      operation: 'increment',
+      value: damage,
+    });
+    remaining -= damage;
+    totalDamage += damage;
+    if (healthBar.variableName === HIT_POINTS && damage === currentValue){
+      unconscious = true;
+    }
+  });
+  checkConcentration(creature, totalDamage, {unconscious});
+  if (damagedWhileDying){
+    addDeathSaveFailures(creature, criticalHit ? 2 : 1);
+  }
+  if (totalDamage){
+    let targets = source && source._id !== creature._id ? [source] : [];
+    let actionContext = {damage: totalDamage, damageType};
+    applyTriggers({creature, event: 'damaged', targets, actionContext});
+    if (unconscious){
+      applyTriggers({creature, event: 'zeroHitPoints', targets, actionContext});
+    }
+  }
+  return totalDamage;
+}
+
+// Restore the creature's hit points, healing doesn't restore temporary hit
+// points.
+// Regaining hit points resets the creature's death saves.
+export function healCreature(creature, amount){
+  let remaining = Math.floor(amount);
+  if (!(remaining > 0)) return 0;
+  let totalHealing = 0;
+  getHealthBars(creature).forEach(healthBar => {
+    if (!remaining || healthBar.variableName === TEMPORARY_HIT_POINTS) return;
+    let healing = Math.min(remaining, healthBar.damage || 0);
+    if (!(healing > 0)) return;
+    damagePropertyWork({
+      property: healthBar,
+      operation: 'increment',
+      value: -healing,
+    });
+    remaining -= healing;
+    totalHealing += healing;
+    if (healthBar.variableName === HIT_POINTS) resetDeathSaves(creature);
+  });
+  return totalHealing;
+}
+
+function getHealthBars(creature){
+  let healthBars = getActiveProperties({
+    ancestorId: creature._id,
+    filter: {
+      type: 'attribute',
+      attributeType: 'healthBar',
+      variableName: {$in: DAMAGED_HEALTH_BARS},
+    },
+  });
+  let priority = healthBar => DAMAGED_HEALTH_BARS.indexOf(healthBar.variableName);
+  return healthBars.sort((a, b) => priority(a) - priority(b));
 }
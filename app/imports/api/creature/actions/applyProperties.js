@@ -1,6 +1,9 @@
 import applyAction from '/imports/api/creature/actions/applyAction.js';
 import applyDamage from '/imports/api/creature/actions/applyDamage.js';
 import applyBuff from '/imports/api/creature/actions/applyBuff.js';
+import applyAdjustment from '/imports/api/creature/actions/applyAdjustment.js';
+import applySavingThrow from '/imports/api/creature/actions/applySavingThrow.js';
+import applyRoll from '/imports/api/creature/actions/applyRoll.js';
 
 function applyProperty(options){
   let prop = options.prop;
@@ -15,23 +18,29 @@ function applyProperty(options){
   switch (prop.type){
     case 'action':
     case 'spell':
-    case 'attack':
       applyAction(options);
       return true;
+    case 'attack':
+      applyAction(options);
+      applyRoll(options);
+      return false;
     case 'damage':
       applyDamage(options);
       return true;
     case 'adjustment':
-      // applyAdjustment(options);
+      applyAdjustment(options);
       return true;
     case 'buff':
       applyBuff(options);
       return false;
     case 'roll':
-      // applyRoll(options);
-      return true;
+      applyRoll(options);
+      return false;
     case 'savingThrow':
-      // applySavingThrow(options);
+      applySavingThrow(options);
+      return false;
+    // Triggers only apply their children when their event fires
+    case 'trigger':
       return false;
   }
 }
@@ -40,6 +49,7 @@ export default function applyProperties({
   forest,
   creature,
   targets,
+  halfDamageTargets,
   actionContext
 }){
   forest.forEach(child => {
@@ -48,6 +58,7 @@ export default function applyProperties({
       children: child.children,
       creature,
       targets,
+      halfDamageTargets,
       actionContext
     });
     if (walkChildren){
@@ -55,6 +66,7 @@ export default function applyProperties({
         forest: child.children,
         creature,
         targets,
+        halfDamageTargets,
         actionContext
       });
     }
@@ -0,0 +1,124 @@
+import evaluateAndRollString from '/imports/api/creature/computation/afterComputation/evaluateAndRollString.js';
+import { rollD20, rollRollBonus, checkText } from '/imports/api/creature/actions/rollCheck.js';
+import applyProperties from '/imports/api/creature/actions/applyProperties.js';
+import { logRoll } from '/imports/api/creature/log/CreatureLogs.js';
+import applyTriggers from '/imports/api/creature/actions/applyTriggers.js';
+
+// The variable name of the attribute targets are hit against
+const ARMOR_CLASS = 'armor';
+
+// Attacks and rolls are rolled by the creature taking the action against each
+// target's armor class. A natural 1 always misses, a natural 20 always hits
+// and is a critical hit, doubling the damage dice of the children. The
+// children are only applied to the targets that are hit. Children that target
+// the creature itself are applied once if anything was hit, not once per hit.
+export default function applyRoll({
+  prop,
+  children,
+  creature,
+  targets = [],
+  actionContext = {},
+}){
+  let scope = {
+    ...creature.variables,
+    ...actionContext,
+  };
+  let bonus = getRollBonus(prop, scope);
+  if (typeof bonus !== 'number') return;
+  let {advantage, rollBonuses} = getTagModifiers(prop, creature);
+  let selfChildren = children.filter(child => child.node.target === 'self');
+  let targetChildren = children.filter(child => child.node.target !== 'self');
+  let anyHit = false;
+  let anyCriticalHit = false;
+  let resolveRoll = (target) => {
+    if (target) applyTriggers({
+      creature: target,
+      event: 'beforeAttacked',
+      targets: [creature],
+    });
+    let d20 = rollD20(advantage);
+    let rolledBonuses = rollBonuses.map(
+      rollBonus => rollRollBonus(rollBonus, scope)
+    );
+    let total = rolledBonuses.reduce((sum, value) => sum + value, d20.value + bonus);
+    let armor = target && target.variables && target.variables[ARMOR_CLASS];
+    let armorClass = armor && armor.value;
+    let hit;
+    if (d20.value === 1){
+      hit = false;
+    } else if (d20.value === 20 || typeof armorClass !== 'number'){
+      hit = true;
+    } else {
+      hit = total >= armorClass;
+    }
+    let text = checkText({d20, bonus, rollBonuses: rolledBonuses, total}) +
+      (typeof armorClass === 'number' ? ` against AC ${armorClass}` : '') +
+      (hit ? ' hit' : ' missed');
+    logRoll({
+      name: prop.name || 'Roll',
+      targetName: target && target.name,
+      text,
+      total,
+    });
+    if (hit){
+      anyHit = true;
+      if (d20.value === 20) anyCriticalHit = true;
+      applyProperties({
+        forest: targetChildren,
+        creature,
+        targets: target ? [target] : [],
+        actionContext: {
+          ...actionContext,
+          criticalHit: d20.value === 20,
+        },
+      });
+    }
+    if (target) applyTriggers({
+      creature: target,
+      event: 'afterAttacked',
+      targets: [creature],
+      actionContext: {hit, criticalHit: hit && d20.value === 20},
+    });
+  };
+  if (targets.length){
+    // Each target gets its own roll to hit
+    targets.forEach(resolveRoll);
+  } else {
+    resolveRoll();
+  }
+  if (anyHit){
+    applyProperties({
+      forest: selfChildren,
+      creature,
+      targets: [],
+      actionContext: {
+        ...actionContext,
+        criticalHit: anyCriticalHit,
+      },
+    });
+  }
+}
+
+function getRollBonus(prop, scope){
+  if (prop.type === 'attack'){
+    if (typeof prop.rollBonusResult === 'number') return prop.rollBonusResult;
+    if (!prop.rollBonus) return 0;
+    return evaluateAndRollString(prop.rollBonus, scope).result;
+  }
+  if (!prop.roll) return 0;
+  return evaluateAndRollString(prop.roll, scope).result;
+}
+
+// Stats of the creature named by the roll's tags, like `attack` or
+// `rangedSpellAttack`, grant their advantage and roll bonuses to the roll
+function getTagModifiers(prop, creature){
+  let advantage = 0;
+  let rollBonuses = [];
+  (prop.tags || []).forEach(tag => {
+    let stat = creature.variables && creature.variables[tag];
+    if (!stat) return;
+    advantage += stat.advantage || 0;
+    rollBonuses.push(...(stat.rollBonuses || []));
+  });
+  return {advantage: Math.sign(advantage), rollBonuses};
+}
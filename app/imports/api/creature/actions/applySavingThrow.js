@@ -0,0 +1,69 @@
+import evaluateAndRollString from '/imports/api/creature/computation/afterComputation/evaluateAndRollString.js';
+import rollCheck, { checkText } from '/imports/api/creature/actions/rollCheck.js';
+import { logRoll } from '/imports/api/creature/log/CreatureLogs.js';
+import applyProperties from '/imports/api/creature/actions/applyProperties.js';
+
+// The DC is computed by the creature taking the action, each target rolls the
+// save in its own context. The children of the saving throw are only applied to
+// the targets that fail the save. Targets that succeed can still take half of
+// the damage.
+export default function applySavingThrow({
+  prop,
+  children,
+  creature,
+  targets = [],
+  actionContext,
+}){
+  let dc = getDC(prop, creature, actionContext);
+  if (typeof dc !== 'number' || !targets.length) return;
+  let failedTargets = [];
+  let savedTargets = [];
+  targets.forEach(target => {
+    let save = rollCheck({
+      stat: target.variables && target.variables[prop.stat],
+      scope: target.variables,
+    });
+    logRoll({
+      name: `${prop.name || prop.stat} save`,
+      targetName: target.name,
+      text: `${checkText(save)} against DC ${dc}`,
+      total: save.total,
+    });
+    if (save.fail || save.total < dc){
+      failedTargets.push(target);
+    } else {
+      savedTargets.push(target);
+    }
+  });
+  let halfDamageTargets = prop.halfDamageOnSuccess ? savedTargets : [];
+  if (failedTargets.length){
+    applyProperties({
+      forest: children,
+      creature,
+      targets: failedTargets,
+      halfDamageTargets,
+      actionContext,
+    });
+  } else if (halfDamageTargets.length){
+    // Nobody failed, only apply the damage
+    applyProperties({
+      forest: children.filter(child =>
+        child.node.type === 'damage' && child.node.target !== 'self'
+      ),
+      creature,
+      targets: [],
+      halfDamageTargets,
+      actionContext,
+    });
+  }
+}
+
+function getDC(prop, creature, actionContext){
+  if (typeof prop.dcResult === 'number') return prop.dcResult;
+  if (!prop.dc) return;
+  let {result} = evaluateAndRollString(prop.dc, {
+    ...creature.variables,
+    ...actionContext,
+  });
+  return result;
+}
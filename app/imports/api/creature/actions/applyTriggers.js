@@ -0,0 +1,43 @@
+import { Meteor } from 'meteor/meteor';
+import CreatureProperties from '/imports/api/creature/CreatureProperties.js';
+import getActiveProperties from '/imports/api/creature/getActiveProperties.js';
+import { nodesToTree } from '/imports/api/parenting/parenting.js';
+import applyProperties from '/imports/api/creature/actions/applyProperties.js';
+
+// The ids of the triggers that are currently applying their children, so a
+// trigger can't fire itself again, like a trigger on taking damage that deals
+// damage to its own creature
+const firingTriggerIds = new Meteor.EnvironmentVariable();
+
+// Apply the children of all the creature's active triggers listening for the
+// event. The targets are the other creatures taking part in the event, like
+// the attacker when being attacked.
+export default function applyTriggers({
+  creature,
+  event,
+  targets = [],
+  actionContext = {},
+}){
+  let firing = firingTriggerIds.get() || [];
+  let triggers = getActiveProperties({
+    ancestorId: creature._id,
+    filter: {
+      type: 'trigger',
+      event,
+    },
+  }).filter(trigger => !firing.includes(trigger._id));
+  triggers.forEach(trigger => {
+    let forest = nodesToTree({
+      collection: CreatureProperties,
+      ancestorId: trigger._id,
+    });
+    firingTriggerIds.withValue([...firing, trigger._id], () => {
+      applyProperties({
+        forest,
+        creature,
+        targets,
+        actionContext,
+      });
+    });
+  });
+}
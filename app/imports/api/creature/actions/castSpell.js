@@ -0,0 +1,123 @@
+import SimpleSchema from 'simpl-schema';
+import { ValidatedMethod } from 'meteor/mdg:validated-method';
+import { RateLimiterMixin } from 'ddp-rate-limiter-mixin';
+import CreatureProperties, { getCreature, damagePropertyWork } from '/imports/api/creature/CreatureProperties.js';
+import { assertEditPermission } from '/imports/api/creature/creaturePermissions.js';
+import { recomputeCreatureByDoc } from '/imports/api/creature/computation/recomputeCreature.js';
+import { doActionWork, getTargets } from '/imports/api/creature/actions/doAction.js';
+import { logEvent, logResourceSpent } from '/imports/api/creature/log/CreatureLogs.js';
+import applyTriggers from '/imports/api/creature/actions/applyTriggers.js';
+
+const castSpell = new ValidatedMethod({
+  name: 'creatureProperties.castSpell',
+  validate: new SimpleSchema({
+    spellId: SimpleSchema.RegEx.Id,
+    // The spell slot attribute to spend, it must be at or above the spell's
+    // level. Cantrips, rituals and spells that ignore slots don't need one.
+    slotId: {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+      optional: true,
+    },
+    ritual: {
+      type: Boolean,
+      optional: true,
+    },
+    targetIds: {
+      type: Array,
+      optional: true,
+      maxCount: 50,
+    },
+    'targetIds.$': {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 10,
+    timeInterval: 5000,
+  },
+  run({spellId, slotId, ritual, targetIds = []}) {
+    let spell = CreatureProperties.findOne(spellId);
+    if (!spell || spell.type !== 'spell'){
+      throw new Meteor.Error('Not a spell', 'Only spells can be cast');
+    }
+		// Check permissions
+    let creature = getCreature(spell);
+    assertEditPermission(creature, this.userId);
+    let targets = getTargets(spell, creature, targetIds);
+    targets.forEach(target => {
+      assertEditPermission(target, this.userId);
+    });
+    let {slot, slotLevel} = getSpellSlot({spell, slotId, ritual});
+    logEvent({name: spell.name, creature, targets}, () => {
+      doActionWork({
+        action: spell,
+        creature,
+        targets,
+        actionContext: {slotLevel},
+      });
+      // Only spend the slot once the action didn't throw any errors
+      if (slot){
+        damagePropertyWork({
+          property: slot,
+          operation: 'increment',
+          value: 1,
+        });
+        logResourceSpent({name: slot.name, quantity: 1});
+      }
+      applyTriggers({
+        creature,
+        event: 'castSpell',
+        targets,
+        actionContext: {slotLevel},
+      });
+    });
+		recomputeCreatureByDoc(creature);
+    targets.forEach(target => {
+      if (target._id !== creature._id) recomputeCreatureByDoc(target);
+    });
+  },
+});
+
+// Get the slot the spell is cast with and the level it is cast at
+function getSpellSlot({spell, slotId, ritual}){
+  if (ritual){
+    if (!spell.ritual){
+      throw new Meteor.Error('Not a ritual',
+        'This spell can\'t be cast as a ritual');
+    }
+    return {slotLevel: spell.level};
+  }
+  if (!spell.level || spell.castWithoutSpellSlots){
+    return {slotLevel: spell.level};
+  }
+  if (!slotId){
+    throw new Meteor.Error('Spell slot not selected',
+      'A spell slot must be selected to cast this spell');
+  }
+  let slot = CreatureProperties.findOne(slotId);
+  if (
+    !slot ||
+    slot.removed ||
+    slot.type !== 'attribute' ||
+    slot.attributeType !== 'spellSlot' ||
+    slot.ancestors[0].id !== spell.ancestors[0].id
+  ){
+    throw new Meteor.Error('Spell slot not found',
+      'The spell slot was not found on the creature');
+  }
+  if (!(slot.spellSlotLevelValue >= spell.level)){
+    throw new Meteor.Error('Spell slot too low',
+      `A level ${spell.level} spell can't be cast with a level ` +
+      `${slot.spellSlotLevelValue} spell slot`);
+  }
+  if (!(slot.currentValue > 0)){
+    throw new Meteor.Error('No spell slots left',
+      'There are no spell slots of this level left');
+  }
+  return {slot, slotLevel: slot.spellSlotLevelValue};
+}
+
+export default castSpell;
@@ -2,19 +2,27 @@ import SimpleSchema from 'simpl-schema';
 import { ValidatedMethod } from 'meteor/mdg:validated-method';
 import { RateLimiterMixin } from 'ddp-rate-limiter-mixin';
 import CreatureProperties, { getCreature } from '/imports/api/creature/CreatureProperties.js';
+import Creatures from '/imports/api/creature/Creatures.js';
 import { assertEditPermission } from '/imports/api/creature/creaturePermissions.js';
 import { recomputeCreatureByDoc } from '/imports/api/creature/computation/recomputeCreature.js';
 import { nodesToTree } from '/imports/api/parenting/parenting.js';
 import applyProperties from '/imports/api/creature/actions/applyProperties.js';
+import { withRng, defaultRng } from '/imports/parser/rng.js';
+import { startConcentration } from '/imports/api/creature/concentration.js';
+import { logEvent } from '/imports/api/creature/log/CreatureLogs.js';
 
 const doAction = new ValidatedMethod({
   name: 'creatureProperties.doAction',
   validate: new SimpleSchema({
     actionId: SimpleSchema.RegEx.Id,
-    targetId: {
+    targetIds: {
+      type: Array,
+      optional: true,
+      maxCount: 50,
+    },
+    'targetIds.$': {
       type: String,
       regEx: SimpleSchema.RegEx.Id,
-      optional: true,
     },
   }).validator(),
   mixins: [RateLimiterMixin],
@@ -22,27 +30,58 @@ const doAction = new ValidatedMethod({
     numRequests: 10,
     timeInterval: 5000,
   },
-  run({actionId, targetId}) {
+  run({actionId, targetIds = []}) {
     let action = CreatureProperties.findOne(actionId);
+    // Spells must be cast so that their spell slot is checked and spent
+    if (action && action.type === 'spell'){
+      throw new Meteor.Error('Use castSpell',
+        'Spells must be cast instead of being done as actions');
+    }
 		// Check permissions
     let creature = getCreature(action);
     assertEditPermission(creature, this.userId);
-    let target = undefined;
-    if (targetId) {
-      target = getCreature(targetId);
+    let targets = getTargets(action, creature, targetIds);
+    targets.forEach(target => {
       assertEditPermission(target, this.userId);
-    }
-		doActionWork({action, creature, target});
+    });
+    logEvent({name: action.name, creature, targets}, () => {
+      doActionWork({action, creature, targets});
+    });
     // Note this only recomputes the top-level creature, not the nearest one
 		recomputeCreatureByDoc(creature);
-    if (target){
-      recomputeCreatureByDoc(target);
-    }
+    targets.forEach(target => {
+      if (target._id !== creature._id) recomputeCreatureByDoc(target);
+    });
   },
 });
 
-function doActionWork({action, creature, target}){
-  let actionContext = {};
+// Actions that target self always target the creature taking the action
+export function getTargets(action, creature, targetIds){
+  if (action.target === 'self') return [creature];
+  if (action.target === 'singleTarget' && targetIds.length > 1){
+    throw new Meteor.Error('Too many targets',
+      'This action can only have a single target');
+  }
+  return targetIds.map(id => {
+    if (id === creature._id) return creature;
+    let target = Creatures.findOne(id);
+    if (!target) throw new Meteor.Error('Target does not exist');
+    return target;
+  });
+}
+
+// Properties targeting `every` target share one roll, properties targeting
+// `each` target are rolled again for each of the targets.
+// The action context is added to the scope of every calculation in the action.
+// Dice are rolled with the given rng, tests and replays can pass a seeded rng
+// from /imports/parser/rng.js to get the same results every time
+export function doActionWork({
+  action, creature, targets = [], actionContext = {}, rng = defaultRng
+}){
+  // Casting a concentration spell ends the previous concentration
+  if (action.type === 'spell' && action.concentration){
+    startConcentration(creature, action);
+  }
   let decendantForest = nodesToTree({
     collection: CreatureProperties,
     ancestorId: action._id,
@@ -51,12 +90,12 @@ function doActionWork({action, creature, target}){
     node: action,
     children: decendantForest,
   }];
-  applyProperties({
+  withRng(rng, () => applyProperties({
     forest: startingForest,
     creature,
-    target,
+    targets,
     actionContext
-  });
+  }));
 }
 
 export default doAction;
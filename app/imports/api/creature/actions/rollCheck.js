@@ -0,0 +1,53 @@
+import evaluateAndRollString from '/imports/api/creature/computation/afterComputation/evaluateAndRollString.js';
+import { getRng } from '/imports/parser/rng.js';
+
+// Roll a d20, rolling twice and keeping the highest with advantage (> 0) or the
+// lowest with disadvantage (< 0)
+export function rollD20(advantage = 0){
+  let rng = getRng();
+  let rolls = [rng.rollDie(20)];
+  if (advantage) rolls.push(rng.rollDie(20));
+  let value = advantage > 0 ? Math.max(...rolls) :
+    advantage < 0 ? Math.min(...rolls) :
+    rolls[0];
+  return {rolls, value};
+}
+
+// Roll a check, save or skill of a creature in its own scope. The stat's
+// advantage is combined with any extra advantage given, and its roll bonuses
+// are rolled and added to the total.
+export default function rollCheck({stat = {}, scope, advantage = 0}){
+  let totalAdvantage = (stat.advantage || 0) + advantage;
+  let d20 = rollD20(Math.sign(totalAdvantage));
+  let bonus = typeof stat.value === 'number' ? stat.value : 0;
+  let rollBonuses = (stat.rollBonuses || []).map(
+    rollBonus => rollRollBonus(rollBonus, scope)
+  );
+  let total = rollBonuses.reduce((sum, value) => sum + value, d20.value + bonus);
+  return {
+    d20,
+    bonus,
+    rollBonuses,
+    total,
+    // Effects can force the check to fail
+    fail: !!stat.fail,
+  };
+}
+
+// d20 [8, 15] + 5 + 2 = 22
+export function checkText({d20, bonus, rollBonuses = [], total}){
+  let text = `d20 [${d20.rolls.join(', ')}]`;
+  [bonus, ...rollBonuses].forEach(value => {
+    if (value > 0) text += ` + ${value}`;
+    if (value < 0) text += ` - ${-value}`;
+  });
+  return `${text} = ${total}`;
+}
+
+// Roll bonuses are the results of rollBonus effects, they can still contain
+// dice that are rolled with every check, like bless's 1d4
+export function rollRollBonus(rollBonus, scope){
+  if (typeof rollBonus === 'number') return rollBonus;
+  let {result} = evaluateAndRollString(`${rollBonus}`, scope);
+  return typeof result === 'number' ? result : 0;
+}
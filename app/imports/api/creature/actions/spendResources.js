@@ -1,4 +1,5 @@
 import CreatureProperties, { damagePropertyWork, adjustQuantityWork } from '/imports/api/creature/CreatureProperties.js';
+import { logResourceSpent, logUndo } from '/imports/api/creature/log/CreatureLogs.js';
 
 export default function spendResources(action){
   // Check Uses
@@ -39,11 +40,17 @@ export default function spendResources(action){
   //Items
   itemQuantityAdjustments.forEach(adjustQuantityWork);
   // Use uses
+  logUndo({
+    collection: 'creatureProperties',
+    id: action._id,
+    fields: {usesUsed: action.usesUsed},
+  });
   CreatureProperties.update(action._id, {
     $inc: {usesUsed: 1}
   }, {
     selector: action
   });
+  logResourceSpent({name: `${action.name || 'Action'} uses`, quantity: 1});
   // Damage stats
   action.resources.attributesConsumed.forEach(attConsumed => {
     if (!attConsumed.quantity) return;
@@ -53,5 +60,6 @@ export default function spendResources(action){
       operation: 'increment',
       value: attConsumed.quantity,
     });
+    logResourceSpent({name: stat.name, quantity: attConsumed.quantity});
   });
 }
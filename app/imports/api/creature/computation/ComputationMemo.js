@@ -1,9 +1,10 @@
 import { includes, cloneDeep } from 'lodash';
+import XP_THRESHOLDS from '/imports/constants/XP_THRESHOLDS.js';
 
 // The computation memo is an in-memory data structure used only during the
 // computation process
 export default class ComputationMemo {
-  constructor(props, creature){
+  constructor(props, creature, xpTable = XP_THRESHOLDS){
     this.statsByVariableName = {};
     this.extraStatsByVariableName = {};
     this.statsById = {};
@@ -19,6 +20,8 @@ export default class ComputationMemo {
     this.equipmentById = {};
     // Properties that have calculations, but don't impact other properties
     this.endStepPropsById = {};
+    // The total XP needed to reach each level
+    this.xpTable = xpTable;
     // First note all the ids of all the toggles
     props.forEach((prop) => {
       if (
@@ -1,5 +1,8 @@
 import evaluateCalculation from '/imports/api/creature/computation/evaluateCalculation.js';
 
+// Operations that can only be combined if their result is a number
+const numericOperations = ['base', 'add', 'mul', 'min', 'max', 'set', 'passiveAdd'];
+
 export default class EffectAggregator{
   constructor(stat, memo){
     delete this.baseValueErrors;
@@ -9,7 +12,8 @@ export default class EffectAggregator{
       if (errors.length){
         this.baseValueErrors = errors;
       }
-      this.base = this.statBaseValue;
+      // Uncompiled base values keep their errors, but count as zero
+      this.base = typeof value === 'number' ? value : 0;
     } else {
       this.base = 0;
     }
@@ -28,6 +32,12 @@ export default class EffectAggregator{
   }
   addEffect(effect){
     let result = effect.result;
+    // Effects that didn't compile to a number are reported on the effect, but
+    // can't change the stat
+    if (
+      numericOperations.includes(effect.operation) &&
+      typeof result !== 'number'
+    ) return;
     if (this.hasNoEffects) this.hasNoEffects = false;
     switch(effect.operation){
       case 'base':
@@ -3,6 +3,7 @@ import { forOwn, has } from 'lodash';
 export default function computeLevels(memo){
   computeClassLevels(memo);
   computeTotalLevel(memo);
+  computeXpLevel(memo);
 }
 
 function computeClassLevels(memo){
@@ -23,22 +24,59 @@ function computeClassLevels(memo){
 }
 
 function computeTotalLevel(memo){
-  let currentLevel = memo.statsByVariableName['level'];
-  if (!currentLevel){
-    currentLevel = {
+  const levelStat = getBuiltInStat(memo, 'level');
+  // bail out if overriden by an attribute
+  if (!levelStat) return;
+  let level = 0;
+  for (let name in memo.classes){
+    level += memo.classes[name].level || 0;
+  }
+  levelStat.value = level;
+}
+
+// Get a built in stat, or undefined if it is overriden by an attribute
+function getBuiltInStat(memo, name){
+  let stat = memo.statsByVariableName[name];
+  if (!stat){
+    stat = {
       value: 0,
       computationDetails: {
         builtIn: true,
         computed: true,
       }
     };
-    memo.statsByVariableName['level'] = currentLevel;
+    memo.statsByVariableName[name] = stat;
   }
-  // bail out if overriden by an attribute
-  if (!currentLevel.computationDetails.builtIn) return;
-  let level = 0;
-  for (let name in memo.classes){
-    level += memo.classes[name].level || 0;
+  if (stat.computationDetails.builtIn) return stat;
+}
+
+function statValue(memo, name){
+  let stat = memo.statsByVariableName[name];
+  return stat && stat.value || 0;
+}
+
+function computeXpLevel(memo){
+  const xp = statValue(memo, 'xp');
+  const xpTable = memo.xpTable;
+  // The number of thresholds reached is the level the XP alone would give
+  let xpLevel = 0;
+  while (xpLevel < xpTable.length && xpTable[xpLevel] <= xp){
+    xpLevel++;
+  }
+  const xpLevelStat = getBuiltInStat(memo, 'xpLevel');
+  if (xpLevelStat) xpLevelStat.value = xpLevel;
+
+  // 0 when there are no more levels to reach
+  const xpToNextLevelStat = getBuiltInStat(memo, 'xpToNextLevel');
+  if (xpToNextLevelStat){
+    xpToNextLevelStat.value = xpLevel < xpTable.length ?
+      xpTable[xpLevel] - xp : 0;
+  }
+
+  // Levels from milestones stack on top of the levels from XP
+  const canLevelUpStat = getBuiltInStat(memo, 'canLevelUp');
+  if (canLevelUpStat){
+    canLevelUpStat.value = statValue(memo, 'xpLevel') +
+      statValue(memo, 'milestoneLevels') > statValue(memo, 'level');
   }
-  memo.statsByVariableName['level'].value = level;
 }
@@ -9,6 +9,8 @@ import writeAlteredProperties from '/imports/api/creature/computation/writeAlter
 import writeCreatureVariables from '/imports/api/creature/computation/writeCreatureVariables.js';
 import { recomputeDamageMultipliersById } from '/imports/api/creature/damageMultiplierDenormalise/recomputeDamageMultipliers.js';
 import Creatures from '/imports/api/creature/Creatures.js';
+import Campaigns from '/imports/api/campaign/Campaigns.js';
+import XP_THRESHOLDS from '/imports/constants/XP_THRESHOLDS.js';
 
 export const recomputeCreature = new ValidatedMethod({
 
@@ -52,6 +54,21 @@ const calculationPropertyTypes = [
   'propertySlot',
 ];
 
+// The creature's own XP table, then its campaign's, then the 5e default
+export function getXpTable(creature){
+  if (creature.settings && creature.settings.xpTable){
+    return creature.settings.xpTable;
+  }
+  let campaign = Campaigns.findOne({
+    creatures: creature._id,
+    'settings.xpTable': {$exists: true},
+  }, {
+    fields: {'settings.xpTable': 1},
+  });
+  if (campaign) return campaign.settings.xpTable;
+  return XP_THRESHOLDS;
+}
+
 export function recomputeCreatureById(creatureId){
   let creature = Creatures.findOne(creatureId);
   recomputeCreatureByDoc(creature);
@@ -101,7 +118,7 @@ export function recomputeCreatureByDoc(creature){
     includeUntoggled: true,
     // TODO filter out expensive fields, particularly icon field
   });
-  let computationMemo = new ComputationMemo(props, creature);
+  let computationMemo = new ComputationMemo(props, creature, getXpTable(creature));
   computeMemo(computationMemo);
   writeAlteredProperties(computationMemo);
   writeCreatureVariables(computationMemo, creatureId);
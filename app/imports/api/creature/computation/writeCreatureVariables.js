@@ -24,6 +24,7 @@ export default function writeCreatureVariables(memo, creatureId) {
     'rollBonuses',
     'fail',
     'level',
+    'spellSlotLevelValue',
   ];
 
   memo.creatureVariables = {};
@@ -0,0 +1,110 @@
+import SimpleSchema from 'simpl-schema';
+import { ValidatedMethod } from 'meteor/mdg:validated-method';
+import { RateLimiterMixin } from 'ddp-rate-limiter-mixin';
+import Creatures from '/imports/api/creature/Creatures.js';
+import CreatureProperties from '/imports/api/creature/CreatureProperties.js';
+import { assertEditPermission } from '/imports/api/creature/creaturePermissions.js';
+import { softRemove } from '/imports/api/parenting/softRemove.js';
+import rollCheck, { checkText } from '/imports/api/creature/actions/rollCheck.js';
+import { logRoll, logUndo } from '/imports/api/creature/log/CreatureLogs.js';
+import { recomputeCreatureById } from '/imports/api/creature/computation/recomputeCreature.js';
+
+// The saving throw rolled to keep concentration after taking damage
+const CONCENTRATION_SAVE = 'constitutionSave';
+
+// Start concentrating on a spell, ending any previous concentration
+export function startConcentration(creature, prop){
+  endConcentration(creature);
+  let concentration = {propId: prop._id, name: prop.name};
+  logUndo({
+    collection: 'creatures',
+    id: creature._id,
+    fields: {concentration: creature.concentration},
+  });
+  Creatures.update(creature._id, {$set: {concentration}});
+  creature.concentration = concentration;
+}
+
+// Remove every buff applied while concentrating, on all of its targets, and
+// recompute the creatures that lost a buff
+export function endConcentration(creature){
+  if (!creature.concentration) return;
+  let buffedCreatureIds = new Set();
+  CreatureProperties.find({
+    type: 'buff',
+    applied: true,
+    concentration: true,
+    'appliedBy.id': creature._id,
+    removed: {$ne: true},
+  }, {
+    fields: {_id: 1, ancestors: 1},
+  }).forEach(buff => {
+    buffedCreatureIds.add(buff.ancestors[0].id);
+    softRemove({_id: buff._id, collection: CreatureProperties});
+    logUndo({
+      type: 'softRemove',
+      collection: 'creatureProperties',
+      id: buff._id,
+    });
+  });
+  logUndo({
+    collection: 'creatures',
+    id: creature._id,
+    fields: {concentration: creature.concentration},
+  });
+  Creatures.update(creature._id, {$unset: {concentration: 1}});
+  delete creature.concentration;
+  buffedCreatureIds.forEach(id => recomputeCreatureById(id));
+}
+
+// Taking damage requires a save against DC 10 or half the damage taken,
+// whichever is higher. Dropping to 0 hit points always ends concentration.
+export function checkConcentration(creature, damage, {unconscious} = {}){
+  if (!creature.concentration || !(damage > 0)) return;
+  if (unconscious){
+    endConcentration(creature);
+    return;
+  }
+  let dc = Math.max(10, Math.floor(damage / 2));
+  let save = rollCheck({
+    stat: creature.variables && creature.variables[CONCENTRATION_SAVE],
+    scope: creature.variables,
+  });
+  logRoll({
+    name: 'Concentration save',
+    targetName: creature.name,
+    text: `${checkText(save)} against DC ${dc}`,
+    total: save.total,
+  });
+  if (save.fail || save.total < dc){
+    endConcentration(creature);
+  }
+}
+
+const endConcentrationMethod = new ValidatedMethod({
+  name: 'creature.methods.endConcentration',
+  validate: new SimpleSchema({
+    creatureId: {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({creatureId}) {
+    let creature = Creatures.findOne(creatureId, {
+      fields: {
+        owner: 1,
+        writers: 1,
+        concentration: 1,
+      }
+    });
+    assertEditPermission(creature, this.userId);
+    endConcentration(creature);
+  },
+});
+
+export { endConcentrationMethod };
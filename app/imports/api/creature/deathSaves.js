@@ -0,0 +1,153 @@
+import SimpleSchema from 'simpl-schema';
+import { ValidatedMethod } from 'meteor/mdg:validated-method';
+import { RateLimiterMixin } from 'ddp-rate-limiter-mixin';
+import Creatures from '/imports/api/creature/Creatures.js';
+import { damagePropertyWork } from '/imports/api/creature/CreatureProperties.js';
+import getActiveProperties from '/imports/api/creature/getActiveProperties.js';
+import { assertEditPermission } from '/imports/api/creature/creaturePermissions.js';
+import rollCheck, { checkText } from '/imports/api/creature/actions/rollCheck.js';
+import { HIT_POINTS } from '/imports/api/creature/actions/applyDamage.js';
+import { logEvent, logRoll, logUndo } from '/imports/api/creature/log/CreatureLogs.js';
+import { recomputeCreatureById } from '/imports/api/creature/computation/recomputeCreature.js';
+
+// Effects on this stat give death saves advantage or roll bonuses
+const DEATH_SAVE = 'deathSave';
+const DEATH_SAVE_DC = 10;
+const MAX_DEATH_SAVES = 3;
+
+function getDeathSave(creature){
+  let {deathSave} = Creatures.findOne(creature._id, {
+    fields: {deathSave: 1},
+  }) || {};
+  return deathSave || {};
+}
+
+function setDeathSave(creature, previous, deathSave){
+  logUndo({
+    collection: 'creatures',
+    id: creature._id,
+    fields: {deathSave: previous},
+  });
+  Creatures.update(creature._id, {$set: {deathSave}});
+  creature.deathSave = deathSave;
+}
+
+// Taking damage at 0 hit points fails death saves, two for a critical hit.
+// A stable creature starts dying again.
+export function addDeathSaveFailures(creature, count = 1){
+  let previous = getDeathSave(creature);
+  if (previous.dead || previous.canDeathSave === false) return;
+  let fail = Math.min((previous.fail || 0) + count, MAX_DEATH_SAVES);
+  setDeathSave(creature, previous, {
+    ...previous,
+    fail,
+    stable: false,
+    dead: fail >= MAX_DEATH_SAVES,
+  });
+}
+
+// Healing and long rests bring the creature back from dying
+export function resetDeathSaves(creature){
+  let previous = getDeathSave(creature);
+  if (
+    !previous.pass && !previous.fail && !previous.stable && !previous.dead
+  ) return;
+  setDeathSave(creature, previous, {
+    ...previous,
+    pass: 0,
+    fail: 0,
+    stable: false,
+    dead: false,
+  });
+}
+
+function getHitPoints(creature){
+  return getActiveProperties({
+    ancestorId: creature._id,
+    filter: {
+      type: 'attribute',
+      attributeType: 'healthBar',
+      variableName: HIT_POINTS,
+    },
+  })[0];
+}
+
+// Roll a death save against DC 10. A natural 20 regains 1 hit point, a
+// natural 1 counts as two failures. Three successes stabilize the creature,
+// three failures kill it.
+export function rollDeathSaveWork(creature){
+  let deathSave = getDeathSave(creature);
+  let hitPoints = getHitPoints(creature);
+  if (
+    !hitPoints ||
+    hitPoints.value - (hitPoints.damage || 0) > 0 ||
+    deathSave.canDeathSave === false ||
+    deathSave.stable ||
+    deathSave.dead
+  ){
+    throw new Meteor.Error('Can not roll death save',
+      `${creature.name || 'The creature'} is not dying`);
+  }
+  let save = rollCheck({
+    stat: creature.variables && creature.variables[DEATH_SAVE],
+    scope: creature.variables,
+  });
+  let natural = save.d20.value;
+  logRoll({
+    name: 'Death save',
+    text: `${checkText(save)} against DC ${DEATH_SAVE_DC}`,
+    total: save.total,
+  });
+  if (natural === 20 && !save.fail){
+    damagePropertyWork({
+      property: hitPoints,
+      operation: 'increment',
+      value: -1,
+    });
+    resetDeathSaves(creature);
+  } else if (natural === 1 || save.fail || save.total < DEATH_SAVE_DC){
+    addDeathSaveFailures(creature, natural === 1 ? 2 : 1);
+  } else {
+    let pass = Math.min((deathSave.pass || 0) + 1, MAX_DEATH_SAVES);
+    setDeathSave(creature, deathSave, {
+      ...deathSave,
+      pass,
+      stable: pass >= MAX_DEATH_SAVES,
+    });
+  }
+  return save;
+}
+
+const rollDeathSave = new ValidatedMethod({
+  name: 'creature.methods.rollDeathSave',
+  validate: new SimpleSchema({
+    creatureId: {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({creatureId}) {
+    let creature = Creatures.findOne(creatureId, {
+      fields: {
+        owner: 1,
+        writers: 1,
+        name: 1,
+        variables: 1,
+      }
+    });
+    assertEditPermission(creature, this.userId);
+    let save;
+    logEvent({name: 'Death save', creature}, () => {
+      save = rollDeathSaveWork(creature);
+    });
+    recomputeCreatureById(creatureId);
+    return save;
+  },
+});
+
+export default rollDeathSave;
@@ -1,10 +1,14 @@
 import SimpleSchema from 'simpl-schema';
 import { ValidatedMethod } from 'meteor/mdg:validated-method';
+import { Random } from 'meteor/random';
 import { RateLimiterMixin } from 'ddp-rate-limiter-mixin';
 import { getUserTier } from '/imports/api/users/patreon/tiers.js';
 import { assertEditPermission } from '/imports/api/creature/creaturePermissions.js';
 import Creatures from '/imports/api/creature/Creatures.js';
 import { recomputeCreatureById } from '/imports/api/creature/computation/recomputeCreature.js';
+import { assertOwnership } from '/imports/api/sharing/sharingPermissions.js';
+import Parties from '/imports/api/campaign/Parties.js';
+import Campaigns from '/imports/api/campaign/Campaigns.js';
 
 let Experiences = new Mongo.Collection('experiences');
 
@@ -42,6 +46,26 @@ let ExperienceSchema = new SimpleSchema({
     regEx: SimpleSchema.RegEx.Id,
     index: 1,
   },
+  // Experiences awarded to a whole party or campaign at once share an award id
+  // so the award can be removed as a whole
+  awardId: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+    optional: true,
+    index: 1,
+  },
+  partyId: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+    optional: true,
+    index: 1,
+  },
+  campaignId: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+    optional: true,
+    index: 1,
+  },
 });
 
 Experiences.attachSchema(ExperienceSchema);
@@ -64,11 +88,16 @@ const insertExperienceForCreature = function({experience, creatureId, userId}){
   return id;
 };
 
+// The fields of an experience that the client can set
+const ExperienceInputSchema = ExperienceSchema.omit(
+  'creatureId', 'awardId', 'partyId', 'campaignId'
+);
+
 const insertExperience = new ValidatedMethod({
   name: 'experiences.insert',
   validate: new SimpleSchema({
     experience: {
-      type: ExperienceSchema.omit('creatureId'),
+      type: ExperienceInputSchema,
     },
     creatureIds: {
       type: Array,
@@ -104,12 +133,145 @@ const insertExperience = new ValidatedMethod({
   },
 });
 
+// Split an award's XP between the creatures, evenly or in proportion to their
+// share of the contribution. Milestone levels are given to every creature.
+function splitAward({experience, creatureIds, split, contributions = []}){
+  let shares = {};
+  if (split === 'contribution'){
+    contributions.forEach(({creatureId, share}) => shares[creatureId] = share);
+  } else {
+    creatureIds.forEach(creatureId => shares[creatureId] = 1);
+  }
+  let totalShares = creatureIds.reduce(
+    (sum, creatureId) => sum + (shares[creatureId] || 0), 0
+  );
+  if (experience.xp && !totalShares){
+    throw new Meteor.Error('Experiences.methods.award.noShares',
+      'At least one creature needs a share of the XP');
+  }
+  return creatureIds.map(creatureId => {
+    let creatureExperience = {...experience};
+    if (experience.xp){
+      creatureExperience.xp = Math.floor(
+        experience.xp * (shares[creatureId] || 0) / totalShares
+      );
+    }
+    return {creatureId, experience: creatureExperience};
+  }).filter(({experience}) => experience.xp || experience.levels);
+}
+
+// Award experience to every creature in a party or campaign
+const awardExperience = new ValidatedMethod({
+  name: 'experiences.award',
+  validate: new SimpleSchema({
+    experience: {
+      type: ExperienceInputSchema,
+    },
+    partyId: {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+      optional: true,
+    },
+    campaignId: {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+      optional: true,
+    },
+    split: {
+      type: String,
+      allowedValues: ['even', 'contribution'],
+      optional: true,
+    },
+    // Each creature's share of the XP when splitting by contribution
+    contributions: {
+      type: Array,
+      optional: true,
+      maxCount: 50,
+    },
+    'contributions.$': {
+      type: Object,
+    },
+    'contributions.$.creatureId': {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+    },
+    'contributions.$.share': {
+      type: Number,
+      min: 0,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({experience, partyId, campaignId, split = 'even', contributions}) {
+    let userId = this.userId;
+    if (!userId) {
+      throw new Meteor.Error('Experiences.methods.award.denied',
+      'You need to be logged in to award experience');
+    }
+    let tier = getUserTier(this.userId);
+    if (!tier.paidBenefits){
+      throw new Meteor.Error('Experiences.methods.award.denied',
+      `The ${tier.name} tier does not allow you to grant experience`);
+    }
+    if (!partyId === !campaignId){
+      throw new Meteor.Error('Experiences.methods.award.invalid',
+        'Award experience to either a party or a campaign');
+    }
+    let group = partyId ?
+      Parties.findOne(partyId) :
+      Campaigns.findOne(campaignId);
+    assertOwnership(group, userId);
+    let awards = splitAward({
+      experience,
+      creatureIds: group.creatures,
+      split,
+      contributions,
+    });
+    // Check every creature before awarding any, so awards aren't partial
+    awards.forEach(({creatureId}) => assertEditPermission(creatureId, userId));
+    let awardId = Random.id();
+    return awards.map(award => insertExperienceForCreature({
+      experience: {...award.experience, awardId, partyId, campaignId},
+      creatureId: award.creatureId,
+      userId,
+    }));
+  },
+});
+
+const removeExperienceWork = function({experience, userId}){
+  let creatureId = experience.creatureId
+  assertEditPermission(creatureId, userId);
+  if (experience.xp){
+    Creatures.update(creatureId, {$inc: {
+      'denormalizedStats.xp': -experience.xp
+    }});
+  }
+  if (experience.levels) {
+    Creatures.update(creatureId, {$inc: {
+      'denormalizedStats.milestoneLevels': -experience.levels
+    }});
+  }
+  let numRemoved = Experiences.remove(experience._id);
+  recomputeCreatureById(creatureId);
+  return numRemoved;
+};
+
+// Remove a single experience, or every experience of an award
 const removeExperience = new ValidatedMethod({
   name: 'experiences.remove',
   validate: new SimpleSchema({
     experienceId: {
       type: String,
       regEx: SimpleSchema.RegEx.Id,
+      optional: true,
+    },
+    awardId: {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+      optional: true,
     },
   }).validator(),
   mixins: [RateLimiterMixin],
@@ -117,7 +279,7 @@ const removeExperience = new ValidatedMethod({
     numRequests: 5,
     timeInterval: 5000,
   },
-  run({experienceId}) {
+  run({experienceId, awardId}) {
     let userId = this.userId;
     if (!userId) {
       throw new Meteor.Error('Experiences.methods.remove.denied',
@@ -128,24 +290,20 @@ const removeExperience = new ValidatedMethod({
       throw new Meteor.Error('Experiences.methods.remove.denied',
       `The ${tier.name} tier does not allow you to remove  an experience`);
     }
+    if (awardId){
+      let experiences = Experiences.find({awardId}).fetch();
+      // Check every creature before removing any, so awards aren't partial
+      experiences.forEach(
+        experience => assertEditPermission(experience.creatureId, userId)
+      );
+      return experiences.reduce(
+        (sum, experience) => sum + removeExperienceWork({experience, userId}),
+        0
+      );
+    }
     let experience = Experiences.findOne(experienceId);
     if (!experience) return;
-    let creatureId = experience.creatureId
-    assertEditPermission(creatureId, userId);
-    if (experience.xp){
-      Creatures.update(creatureId, {$inc: {
-        'denormalizedStats.xp': -experience.xp
-      }});
-    }
-    if (experience.levels) {
-      Creatures.update(creatureId, {$inc: {
-        'denormalizedStats.milestoneLevels': -experience.levels
-      }});
-    }
-    experience.creatureId = creatureId;
-    let numRemoved = Experiences.remove(experienceId);
-    recomputeCreatureById(creatureId);
-    return numRemoved;
+    return removeExperienceWork({experience, userId});
   },
 });
 
@@ -194,4 +352,11 @@ const recomputeExperiences = new ValidatedMethod({
 });
 
 export default Experiences;
-export { ExperienceSchema, insertExperience, removeExperience, recomputeExperiences };
+export {
+  ExperienceSchema,
+  ExperienceInputSchema,
+  insertExperience,
+  awardExperience,
+  removeExperience,
+  recomputeExperiences,
+};
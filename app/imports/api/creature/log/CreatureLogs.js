@@ -0,0 +1,245 @@
+import { Meteor } from 'meteor/meteor';
+import { Mongo } from 'meteor/mongo';
+import SimpleSchema from 'simpl-schema';
+import { mapValues } from 'lodash';
+
+// A log of everything a creature did, shown at the table so everyone can see
+// what was rolled
+let CreatureLogs = new Mongo.Collection('creatureLogs');
+
+// Only the most recent entries of each creature are kept
+export const LOG_LENGTH = 100;
+
+let CreatureRefSchema = new SimpleSchema({
+  id: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+  },
+  name: {
+    type: String,
+    optional: true,
+  },
+});
+
+let RollLogSchema = new SimpleSchema({
+  name: {
+    type: String,
+    optional: true,
+  },
+  // The creature the roll was made against or by
+  targetName: {
+    type: String,
+    optional: true,
+  },
+  // 2d6 [3, 5] + strength.modifier (3) = 11
+  text: {
+    type: String,
+  },
+  total: {
+    type: SimpleSchema.oneOf(Number, String, Boolean),
+    optional: true,
+  },
+  // The full result of /imports/parser/rollResult.js, if there is one
+  result: {
+    type: Object,
+    optional: true,
+    blackbox: true,
+  },
+});
+
+// The inverse of a change made while the event ran. Updates are undone by
+// setting the fields back to their old values, inserted documents are removed
+// and soft removed documents are restored.
+let UndoOperationSchema = new SimpleSchema({
+  type: {
+    type: String,
+    allowedValues: ['update', 'insert', 'softRemove'],
+  },
+  collection: {
+    type: String,
+    allowedValues: ['creatures', 'creatureProperties'],
+  },
+  id: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+  },
+  // The values of the updated fields before the update
+  fields: {
+    type: Object,
+    optional: true,
+    blackbox: true,
+  },
+});
+
+let CreatureLogSchema = new SimpleSchema({
+  // What happened: the action taken, the rest, the property damaged
+  name: {
+    type: String,
+    optional: true,
+  },
+  // The creature that acted, the log belongs to this creature
+  creatureId: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+    index: 1,
+  },
+  creatureName: {
+    type: String,
+    optional: true,
+  },
+  targets: {
+    type: Array,
+    defaultValue: [],
+  },
+  'targets.$': {
+    type: CreatureRefSchema,
+  },
+  rolls: {
+    type: Array,
+    defaultValue: [],
+  },
+  'rolls.$': {
+    type: RollLogSchema,
+  },
+  resourcesSpent: {
+    type: Array,
+    defaultValue: [],
+  },
+  'resourcesSpent.$': {
+    type: Object,
+  },
+  'resourcesSpent.$.name': {
+    type: String,
+    optional: true,
+  },
+  'resourcesSpent.$.quantity': {
+    type: Number,
+  },
+  // Changes to the health bars of the creature and its targets, negative
+  // changes are damage
+  healthChanges: {
+    type: Array,
+    defaultValue: [],
+  },
+  'healthChanges.$': {
+    type: Object,
+  },
+  'healthChanges.$.creatureId': {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+  },
+  'healthChanges.$.name': {
+    type: String,
+    optional: true,
+  },
+  'healthChanges.$.change': {
+    type: Number,
+  },
+  // Problems that came up while the event ran, like calculations that failed
+  // or stats that don't exist
+  errors: {
+    type: Array,
+    defaultValue: [],
+  },
+  'errors.$': {
+    type: String,
+  },
+  undoOperations: {
+    type: Array,
+    defaultValue: [],
+  },
+  'undoOperations.$': {
+    type: UndoOperationSchema,
+  },
+  undone: {
+    type: Boolean,
+    optional: true,
+  },
+  date: {
+    type: Date,
+    autoValue: function() {
+      // If the date isn't set, set it to now
+      if (!this.isSet) {
+        return new Date();
+      }
+    },
+    index: 1,
+  },
+});
+
+CreatureLogs.attachSchema(CreatureLogSchema);
+
+// The entry being written while an event runs, so rolls and changes deep in
+// the action can be logged without passing the entry through every function
+const currentEntry = new Meteor.EnvironmentVariable();
+
+// Run fn and log everything it rolled, spent and changed as a single entry
+export function logEvent({name, creature, targets = []}, fn){
+  let entry = {
+    name,
+    creatureId: creature._id,
+    creatureName: creature.name,
+    targets: targets.map(target => ({id: target._id, name: target.name})),
+    rolls: [],
+    resourcesSpent: [],
+    healthChanges: [],
+    errors: [],
+    undoOperations: [],
+  };
+  let result = currentEntry.withValue(entry, fn);
+  CreatureLogs.insert(entry);
+  trimLog(creature._id);
+  return result;
+}
+
+export function logRoll({name, targetName, text, total, result}){
+  let entry = currentEntry.get();
+  if (!entry) return;
+  entry.rolls.push({name, targetName, text, total, result});
+}
+
+export function logResourceSpent({name, quantity}){
+  let entry = currentEntry.get();
+  if (!entry || !quantity) return;
+  entry.resourcesSpent.push({name, quantity});
+}
+
+export function logHealthChange({creatureId, name, change}){
+  let entry = currentEntry.get();
+  if (!entry || !change) return;
+  entry.healthChanges.push({creatureId, name, change});
+}
+
+// Accepts error messages or the {type, message} errors of calculations
+export function logErrors(...errors){
+  let entry = currentEntry.get();
+  if (!entry) return;
+  errors.forEach(error => {
+    entry.errors.push(typeof error === 'string' ? error : error.message);
+  });
+}
+
+// Record how to revert a change made while the event runs. Fields that were
+// not set before the update are stored as null and unset again on undo
+export function logUndo({type = 'update', collection, id, fields}){
+  let entry = currentEntry.get();
+  if (!entry) return;
+  if (fields){
+    fields = mapValues(fields, value => value === undefined ? null : value);
+  }
+  entry.undoOperations.push({type, collection, id, fields});
+}
+
+// Remove the entries that are older than the last LOG_LENGTH entries
+function trimLog(creatureId){
+  if (Meteor.isClient) return;
+  let oldestKept = CreatureLogs.findOne({creatureId}, {
+    sort: {date: -1},
+    skip: LOG_LENGTH - 1,
+    fields: {date: 1},
+  });
+  if (!oldestKept) return;
+  CreatureLogs.remove({creatureId, date: {$lt: oldestKept.date}});
+}
+
+export default CreatureLogs;
@@ -0,0 +1,119 @@
+import SimpleSchema from 'simpl-schema';
+import { ValidatedMethod } from 'meteor/mdg:validated-method';
+import { RateLimiterMixin } from 'ddp-rate-limiter-mixin';
+import Creatures from '/imports/api/creature/Creatures.js';
+import CreatureProperties from '/imports/api/creature/CreatureProperties.js';
+import CreatureLogs from '/imports/api/creature/log/CreatureLogs.js';
+import { assertEditPermission } from '/imports/api/creature/creaturePermissions.js';
+import { recomputeCreatureById } from '/imports/api/creature/computation/recomputeCreature.js';
+import getCollectionByName from '/imports/api/parenting/getCollectionByName.js';
+import { restore } from '/imports/api/parenting/softRemove.js';
+
+// Undo the most recent event of a creature, as long as nothing has happened
+// to the creature or its targets since
+const undoLogEntry = new ValidatedMethod({
+  name: 'creatureLogs.undo',
+  validate: new SimpleSchema({
+    creatureId: {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+    },
+  }).validator(),
+  mixins: [RateLimiterMixin],
+  rateLimit: {
+    numRequests: 5,
+    timeInterval: 5000,
+  },
+  run({creatureId}) {
+    // The client doesn't have the undo operations of the log
+    if (Meteor.isClient) return;
+    let entry = CreatureLogs.findOne({
+      creatureId,
+      undone: {$ne: true},
+    }, {
+      sort: {date: -1},
+    });
+    if (!entry || !entry.undoOperations.length){
+      throw new Meteor.Error('Undo failed', 'There is nothing to undo');
+    }
+    let creatureIds = getChangedCreatureIds(entry);
+    // Check permissions on every creature the event changed
+    creatureIds.forEach(id => {
+      let creature = Creatures.findOne(id, {fields: {owner: 1, writers: 1}});
+      assertEditPermission(creature, this.userId);
+    });
+    let laterEntry = CreatureLogs.findOne({
+      _id: {$ne: entry._id},
+      date: {$gte: entry.date},
+      undone: {$ne: true},
+      $or: [
+        {creatureId: {$in: creatureIds}},
+        {'targets.id': {$in: creatureIds}},
+      ],
+    });
+    if (laterEntry){
+      throw new Meteor.Error('Undo failed',
+        `${laterEntry.name || 'Something else'} happened after ` +
+        `${entry.name || 'this'}, undo that first`);
+    }
+    // Undo in the reverse order the changes were made
+    [...entry.undoOperations].reverse().forEach(undoOperation);
+    CreatureLogs.update(entry._id, {$set: {undone: true}});
+    creatureIds.forEach(id => recomputeCreatureById(id));
+  },
+});
+
+// The creature, its targets and any other creature the undo operations
+// change, like the earlier targets of a concentration spell that ended
+function getChangedCreatureIds(entry){
+  let creatureIds = new Set([
+    entry.creatureId,
+    ...entry.targets.map(target => target.id),
+  ]);
+  entry.undoOperations.forEach(({collection, id}) => {
+    if (collection === 'creatures'){
+      creatureIds.add(id);
+    } else if (collection === 'creatureProperties'){
+      let property = CreatureProperties.findOne(id, {
+        fields: {ancestors: 1},
+      });
+      if (property) creatureIds.add(property.ancestors[0].id);
+    }
+  });
+  return [...creatureIds];
+}
+
+function undoOperation({type, collection, id, fields}){
+  if (type === 'softRemove'){
+    restore({_id: id, collection});
+    return;
+  }
+  let isProperty = collection === 'creatureProperties';
+  collection = getCollectionByName(collection);
+  if (type === 'insert'){
+    collection.remove(id);
+  } else if (type === 'update'){
+    let $set = {};
+    let $unset = {};
+    for (let key in fields){
+      if (fields[key] === null){
+        $unset[key] = 1;
+      } else {
+        $set[key] = fields[key];
+      }
+    }
+    let modifier = {};
+    if (Object.keys($set).length) modifier.$set = $set;
+    if (Object.keys($unset).length) modifier.$unset = $unset;
+    let options;
+    // Creature properties are validated against the schema of their type
+    if (isProperty){
+      let property = collection.findOne(id, {fields: {type: 1}});
+      if (!property) return;
+      options = {selector: {type: property.type}};
+    }
+    collection.update(id, modifier, options);
+  }
+}
+
+export default undoLogEntry;
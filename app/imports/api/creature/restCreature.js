@@ -5,6 +5,11 @@ import Creatures from '/imports/api/creature/Creatures.js';
 import CreatureProperties from '/imports/api/creature/CreatureProperties.js';
 import getActiveProperties, { getActivePropertyFilter } from '/imports/api/creature/getActiveProperties.js';
 import { assertEditPermission } from '/imports/api/creature/creaturePermissions.js';
+import tickBuffDurations from '/imports/api/creature/tickBuffDurations.js';
+import { logEvent, logHealthChange, logUndo } from '/imports/api/creature/log/CreatureLogs.js';
+import applyTriggers from '/imports/api/creature/actions/applyTriggers.js';
+import spendHitDice from '/imports/api/creature/spendHitDice.js';
+import { resetDeathSaves } from '/imports/api/creature/deathSaves.js';
 import { recomputeCreatureById } from '/imports/api/creature/computation/recomputeCreature.js';
 
 const restCreature = new ValidatedMethod({
@@ -18,95 +23,164 @@ const restCreature = new ValidatedMethod({
       type: String,
       allowedValues: ['shortRest', 'longRest'],
     },
+    // The hit dice to spend healing during a short rest
+    hitDice: {
+      type: Array,
+      optional: true,
+      maxCount: 20,
+    },
+    'hitDice.$': {
+      type: Object,
+    },
+    'hitDice.$._id': {
+      type: String,
+      regEx: SimpleSchema.RegEx.Id,
+    },
+    'hitDice.$.quantity': {
+      type: SimpleSchema.Integer,
+      min: 0,
+    },
   }).validator(),
   mixins: [RateLimiterMixin],
   rateLimit: {
     numRequests: 5,
     timeInterval: 5000,
   },
-  run({creatureId, restType}) {
+  run({creatureId, restType, hitDice = []}) {
     let creature = Creatures.findOne(creatureId, {
       fields: {
         owner: 1,
         writers: 1,
         settings: 1,
+        name: 1,
+        variables: 1,
       }
     }) ;
     // Need edit permissions
     assertEditPermission(creature, this.userId);
+    logEvent({
+      name: restType === 'shortRest' ? 'Short rest' : 'Long rest',
+      creature,
+    }, () => {
+      if (restType === 'shortRest' && hitDice.length){
+        spendHitDice({creature, hitDice});
+      }
+      restCreatureWork({creature, restType});
+      // Long rests fire short rest triggers as well
+      let fullCreature = Creatures.findOne(creatureId);
+      applyTriggers({creature: fullCreature, event: 'shortRest'});
+      if (restType === 'longRest'){
+        applyTriggers({creature: fullCreature, event: 'longRest'});
+      }
+    });
+    recomputeCreatureById(creatureId);
+  },
+});
 
-    // Long rests reset short rest properties as well
-    let resetFilter;
-    if (restType === 'shortRest'){
-      resetFilter = 'shortRest'
-    } else {
-      resetFilter = {$in: ['shortRest', 'longRest']}
-    }
-    // Only apply to active properties
-    let filter = getActivePropertyFilter({
-      filter: {reset: resetFilter},
-      ancestorId: creatureId,
-      includeUntoggled: true,
+function restCreatureWork({creature, restType}){
+  let creatureId = creature._id;
+  // Long rests reset short rest properties as well
+  let resetFilter;
+  if (restType === 'shortRest'){
+    resetFilter = 'shortRest'
+  } else {
+    resetFilter = {$in: ['shortRest', 'longRest']}
+  }
+  // Only apply to active properties
+  let filter = getActivePropertyFilter({
+    filter: {reset: resetFilter},
+    ancestorId: creatureId,
+    includeUntoggled: true,
+  });
+  // update all attribute's damage
+  filter.type = 'attribute';
+  CreatureProperties.find({
+    ...filter,
+    damage: {$gt: 0},
+  }, {
+    fields: {name: 1, damage: 1, attributeType: 1},
+  }).forEach(attribute => {
+    logUndoReset(attribute, 'damage');
+    if (attribute.attributeType !== 'healthBar') return;
+    logHealthChange({
+      creatureId,
+      name: attribute.name,
+      change: attribute.damage,
     });
-    // update all attribute's damage
-    filter.type = 'attribute';
-    CreatureProperties.update(filter, {
-      $set: {damage: 0}
-    }, {
-      selector: {type: 'attribute'},
-      multi: true,
+  });
+  CreatureProperties.update(filter, {
+    $set: {damage: 0}
+  }, {
+    selector: {type: 'attribute'},
+    multi: true,
+  });
+  // Update all action-like properties' usesUsed
+  filter.type = {$in: [
+    'action',
+    'attack',
+    'spell'
+  ]};
+  CreatureProperties.find({
+    ...filter,
+    usesUsed: {$gt: 0},
+  }, {
+    fields: {usesUsed: 1},
+  }).forEach(action => logUndoReset(action, 'usesUsed'));
+  CreatureProperties.update(filter, {
+    $set: {usesUsed: 0}
+  }, {
+    selector: {type: 'action'},
+    multi: true,
+  });
+  // Reset half hit dice on a long rest, starting with the highest dice
+  if (restType === 'longRest'){
+    let hitDice = getActiveProperties({
+      ancestorId: creatureId,
+      filter: {type: 'attribute', attributeType: 'hitDice'},
+      options: {fields: {
+        hitDiceSize: 1,
+        damage: 1,
+        value: 1,
+      }},
     });
-    // Update all action-like properties' usesUsed
-    filter.type = {$in: [
-      'action',
-      'attack',
-      'spell'
-    ]};
-    CreatureProperties.update(filter, {
-      $set: {usesUsed: 0}
-    }, {
-      selector: {type: 'action'},
-      multi: true,
+    // Use a collator to do sorting in natural order
+    let collator = new Intl.Collator('en', {
+      numeric: true, sensitivity: 'base'
     });
-    // Reset half hit dice on a long rest, starting with the highest dice
-    if (restType === 'longRest'){
-      let hitDice = getActiveProperties({
-        ancestorId: creatureId,
-        filter: {type: 'attribute', attributeType: 'hitDice'},
-        options: {fields: {
-          hitDiceSize: 1,
-          damage: 1,
-          value: 1,
-        }},
-      });
-      // Use a collator to do sorting in natural order
-      let collator = new Intl.Collator('en', {
-        numeric: true, sensitivity: 'base'
-      });
-      // Get the hit dice in decending order of hitDiceSize
-      let compare = (a, b) => collator.compare(b.hitDiceSize, a.hitDiceSize)
-      hitDice.sort(compare);
-      // Get the total number of hit dice that can be recovered this rest
-      let totalHd = hitDice.reduce((sum, hd) => sum + (hd.value || 0), 0);
-      let resetMultiplier = creature.settings.hitDiceResetMultiplier || 0.5;
-      let recoverableHd = Math.max(Math.floor(totalHd*resetMultiplier), 1);
-      // recover each hit dice in turn until the recoverable amount is used up
-      let amountToRecover, resultingDamage;
-      hitDice.forEach(hd => {
-        if (!recoverableHd) return;
-        amountToRecover = Math.min(recoverableHd, hd.damage || 0);
-        if (!amountToRecover) return;
-        recoverableHd -= amountToRecover;
-        resultingDamage = hd.damage - amountToRecover;
-        CreatureProperties.update(hd._id, {
-          $set: {damage: resultingDamage}
-        }, {
-          selector: {type: 'attribute'},
-        });
+    // Get the hit dice in decending order of hitDiceSize
+    let compare = (a, b) => collator.compare(b.hitDiceSize, a.hitDiceSize)
+    hitDice.sort(compare);
+    // Get the total number of hit dice that can be recovered this rest
+    let totalHd = hitDice.reduce((sum, hd) => sum + (hd.value || 0), 0);
+    let resetMultiplier = creature.settings.hitDiceResetMultiplier || 0.5;
+    let recoverableHd = Math.max(Math.floor(totalHd*resetMultiplier), 1);
+    // recover each hit dice in turn until the recoverable amount is used up
+    let amountToRecover, resultingDamage;
+    hitDice.forEach(hd => {
+      if (!recoverableHd) return;
+      amountToRecover = Math.min(recoverableHd, hd.damage || 0);
+      if (!amountToRecover) return;
+      recoverableHd -= amountToRecover;
+      resultingDamage = hd.damage - amountToRecover;
+      logUndoReset(hd, 'damage');
+      CreatureProperties.update(hd._id, {
+        $set: {damage: resultingDamage}
+      }, {
+        selector: {type: 'attribute'},
       });
-    }
-    recomputeCreatureById(creatureId);
-  },
-});
+    });
+  }
+  if (restType === 'longRest') resetDeathSaves(creature);
+  // Time passes for the creature's buffs
+  tickBuffDurations({creatureId, restType});
+}
+
+function logUndoReset(prop, field){
+  logUndo({
+    collection: 'creatureProperties',
+    id: prop._id,
+    fields: {[field]: prop[field]},
+  });
+}
 
 export default restCreature;
@@ -0,0 +1,92 @@
+import CreatureProperties, { damagePropertyWork } from '/imports/api/creature/CreatureProperties.js';
+import evaluateAndRollString from '/imports/api/creature/computation/afterComputation/evaluateAndRollString.js';
+import { rollRollBonus } from '/imports/api/creature/actions/rollCheck.js';
+import { healCreature } from '/imports/api/creature/actions/applyDamage.js';
+import { logRoll } from '/imports/api/creature/log/CreatureLogs.js';
+
+// rollBonus effects on this stat add to every hit die spent, like Song of Rest
+const HIT_DICE_STAT = 'hitDice';
+
+// Spend hit dice to heal the creature's hit points. Each die rolled adds the
+// constitution modifier and the roll bonuses of its hit dice attribute.
+// hitDice is a list of {_id, quantity} of the hit dice attributes to spend
+export default function spendHitDice({creature, hitDice}){
+  let scope = creature.variables;
+  // Check all the hit dice before spending any of them
+  let spending = getHitDiceToSpend(creature, hitDice);
+  let totalHealing = 0;
+  spending.forEach(({hd, quantity}) => {
+    let rollBonuses = [
+      ...getRollBonuses(scope, hd.variableName),
+      ...getRollBonuses(scope, HIT_DICE_STAT),
+    ];
+    for (let i = 0; i < quantity; i++){
+      totalHealing += rollHitDie(hd, rollBonuses, scope);
+    }
+    damagePropertyWork({
+      property: hd,
+      operation: 'increment',
+      value: quantity,
+    });
+  });
+  // Healing can't restore more hit points than the creature is missing
+  return healCreature(creature, totalHealing);
+}
+
+function getHitDiceToSpend(creature, hitDice){
+  let spending = [];
+  hitDice.forEach(({_id, quantity}) => {
+    if (!quantity) return;
+    let hd = CreatureProperties.findOne(_id);
+    if (
+      !hd ||
+      hd.removed ||
+      hd.type !== 'attribute' ||
+      hd.attributeType !== 'hitDice' ||
+      hd.ancestors[0].id !== creature._id
+    ){
+      throw new Meteor.Error('Hit dice not found',
+        'The hit dice were not found on the creature');
+    }
+    let existing = spending.find(spend => spend.hd._id === _id);
+    if (existing){
+      existing.quantity += quantity;
+    } else {
+      spending.push({hd, quantity});
+    }
+  });
+  spending.forEach(({hd, quantity}) => {
+    let currentValue = hd.value - (hd.damage || 0);
+    if (quantity > currentValue){
+      throw new Meteor.Error('Not enough hit dice',
+        `There are only ${currentValue} ${hd.hitDiceSize} hit dice left`);
+    }
+  });
+  return spending;
+}
+
+function getRollBonuses(scope, variableName){
+  let stat = variableName && scope && scope[variableName];
+  return stat && stat.rollBonuses || [];
+}
+
+// A hit die never heals less than 0
+function rollHitDie(hd, rollBonuses, scope){
+  let {roll} = evaluateAndRollString(
+    `1${hd.hitDiceSize} + constitution.modifier`, scope
+  );
+  if (!roll || typeof roll.total !== 'number') return 0;
+  let bonus = rollBonuses.reduce(
+    (sum, rollBonus) => sum + rollRollBonus(rollBonus, scope), 0
+  );
+  let total = Math.max(roll.total + bonus, 0);
+  logRoll({
+    name: `${hd.hitDiceSize} hit die`,
+    text: bonus ?
+      `${roll.text} ${bonus > 0 ? '+' : '-'} ${Math.abs(bonus)} = ${total}` :
+      roll.text,
+    total,
+    result: roll,
+  });
+  return total;
+}
@@ -0,0 +1,70 @@
+import CreatureProperties from '/imports/api/creature/CreatureProperties.js';
+import { softRemove } from '/imports/api/parenting/softRemove.js';
+import { logUndo } from '/imports/api/creature/log/CreatureLogs.js';
+
+// A round is 6 seconds
+export const DURATIONS_IN_ROUNDS = {
+  rounds: 1,
+  minutes: 10,
+  hours: 600,
+};
+
+// A short rest takes an hour, a long rest takes 8 hours
+const REST_LENGTH_IN_ROUNDS = {
+  shortRest: 600,
+  longRest: 4800,
+};
+
+// Advance the duration of all the buffs applied to a creature by the given
+// number of rounds, or by the length of the given rest. Buffs that run out are
+// soft removed, so they can still be restored.
+export default function tickBuffDurations({creatureId, rounds = 0, restType}){
+  if (restType) rounds += REST_LENGTH_IN_ROUNDS[restType];
+  let buffs = CreatureProperties.find({
+    'ancestors.id': creatureId,
+    type: 'buff',
+    applied: true,
+    removed: {$ne: true},
+  }, {
+    fields: {duration: 1, durationUnit: 1, durationSpent: 1},
+  });
+  buffs.forEach(buff => {
+    if (hasExpiredOnRest(buff, restType)){
+      removeBuff(buff);
+      return;
+    }
+    let unitLength = DURATIONS_IN_ROUNDS[buff.durationUnit];
+    let duration = +buff.duration;
+    if (!unitLength || !rounds || !Number.isFinite(duration)) return;
+    let durationSpent = (buff.durationSpent || 0) + rounds / unitLength;
+    if (durationSpent >= duration){
+      removeBuff(buff);
+    } else {
+      logUndo({
+        collection: 'creatureProperties',
+        id: buff._id,
+        fields: {durationSpent: buff.durationSpent},
+      });
+      CreatureProperties.update(buff._id, {
+        $set: {durationSpent},
+      }, {
+        selector: {type: 'buff'},
+      });
+    }
+  });
+}
+
+function removeBuff(buff){
+  softRemove({_id: buff._id, collection: CreatureProperties});
+  logUndo({
+    type: 'softRemove',
+    collection: 'creatureProperties',
+    id: buff._id,
+  });
+}
+
+function hasExpiredOnRest(buff, restType){
+  if (!restType) return false;
+  if (buff.durationUnit === 'longRest') return restType === 'longRest';
+  return buff.durationUnit === 'shortRest';
+}
@@ -48,9 +48,12 @@ export function restore({_id, collection}){
   }, { $unset: {
     removed: 1,
     removedAt: 1,
-  }});
+  }}, {
+    selector: {type: 'any'},
+  });
   if (numUpdated === 0) restoreError();
   updateDescendants({
+    collection,
     ancestorId: _id,
     filter: {
       removedWith: _id,
@@ -9,10 +9,24 @@ let BuffSchema = new SimpleSchema({
 		type: String,
 		optional: true,
 	},
+	// A calculation of how many durationUnits the buff lasts, rolled when the
+	// buff is applied
 	duration: {
 		type: String,
 		optional: true,
 	},
+	// Buffs without a duration unit last until they are removed
+	durationUnit: {
+		type: String,
+		optional: true,
+		allowedValues: [
+			'rounds',
+			'minutes',
+			'hours',
+			'shortRest', // until the next short or long rest
+			'longRest',  // until the next long rest
+		],
+	},
   applied: {
     type: Boolean,
     defaultValue: false,
@@ -35,6 +49,7 @@ let AppliedBuffSchema = new SimpleSchema({
     defaultValue: true,
     index: 1,
   },
+	// How many durationUnits have passed since the buff was applied
 	durationSpent: {
 		type: Number,
 		optional: true,
@@ -54,6 +69,11 @@ let AppliedBuffSchema = new SimpleSchema({
 	'appliedBy.collection': {
 		type: String,
 	},
+	// The buff is removed when the creature that applied it loses concentration
+	concentration: {
+		type: Boolean,
+		optional: true,
+	},
 }).extend(BuffSchema);
 
 export { AppliedBuffSchema, BuffSchema };
@@ -20,6 +20,7 @@ import SimpleSchema from 'simpl-schema';
  */
 let RollSchema = new SimpleSchema({
   // The roll, can be simplified, but only computed in context
+  // Added to a d20 when rolled against the target's armor class
   roll: {
     type: String,
     optional: true,
@@ -17,6 +17,11 @@ let SavingThrowSchema = new SimpleSchema ({
     type: String,
     optional: true,
   },
+  // Targets that succeed on the save still take half of the child damage
+  halfDamageOnSuccess: {
+    type: Boolean,
+    optional: true,
+  },
 });
 
 const ComputedOnlySavingThrowSchema = new SimpleSchema({
@@ -0,0 +1,25 @@
+import SimpleSchema from 'simpl-schema';
+import TRIGGER_EVENTS from '/imports/constants/TRIGGER_EVENTS.js';
+
+/*
+ * Triggers apply their children, like the children of an action, when the
+ * creature they belong to is part of the event they are listening for.
+ * The other creature in the event, like the attacker, is the target.
+ */
+let TriggerSchema = new SimpleSchema({
+  name: {
+    type: String,
+    optional: true,
+  },
+  description: {
+    type: String,
+    optional: true,
+  },
+  event: {
+    type: String,
+    allowedValues: Object.keys(TRIGGER_EVENTS),
+    defaultValue: 'damaged',
+  },
+});
+
+export { TriggerSchema };
@@ -3,7 +3,7 @@ import { ComputedActionSchema } from '/imports/api/properties/Actions.js';
 import { AdjustmentSchema } from '/imports/api/properties/Adjustments.js';
 import { ComputedAttackSchema } from '/imports/api/properties/Attacks.js';
 import { ComputedAttributeSchema } from '/imports/api/properties/Attributes.js';
-import { BuffSchema } from '/imports/api/properties/Buffs.js';
+import { AppliedBuffSchema } from '/imports/api/properties/Buffs.js';
 import { ClassLevelSchema } from '/imports/api/properties/ClassLevels.js';
 import { ContainerSchema } from '/imports/api/properties/Containers.js';
 import { DamageSchema } from '/imports/api/properties/Damages.js';
@@ -21,13 +21,14 @@ import { ComputedSlotSchema } from '/imports/api/properties/Slots.js';
 import { ComputedSpellSchema } from '/imports/api/properties/Spells.js';
 import { ComputedSpellListSchema } from '/imports/api/properties/SpellLists.js';
 import { ToggleSchema } from '/imports/api/properties/Toggles.js';
+import { TriggerSchema } from '/imports/api/properties/Triggers.js';
 
 const propertySchemasIndex = {
   action: ComputedActionSchema,
   adjustment: AdjustmentSchema,
   attack: ComputedAttackSchema,
   attribute: ComputedAttributeSchema,
-  buff: BuffSchema,
+  buff: AppliedBuffSchema,
   classLevel: ClassLevelSchema,
   damage: DamageSchema,
   damageMultiplier: DamageMultiplierSchema,
@@ -43,6 +44,7 @@ const propertySchemasIndex = {
   spellList: ComputedSpellListSchema,
   spell: ComputedSpellSchema,
   toggle: ToggleSchema,
+  trigger: TriggerSchema,
   container: ContainerSchema,
   item: ItemSchema,
   any: new SimpleSchema({}),
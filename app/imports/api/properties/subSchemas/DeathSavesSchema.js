@@ -21,6 +21,11 @@ const DeathSavesSchema = new SimpleSchema({
 		type: Boolean,
 		defaultValue: false,
 	},
+	// Three failed death saves
+	dead: {
+		type: Boolean,
+		defaultValue: false,
+	},
 });
 
 export default DeathSavesSchema;
@@ -87,6 +87,10 @@ const PROPERTIES = Object.freeze({
     icon: '$vuetify.icons.toggle',
     name: 'Toggle'
   },
+  trigger: {
+    icon: 'flash_on',
+    name: 'Trigger'
+  },
 });
 
 export default PROPERTIES;
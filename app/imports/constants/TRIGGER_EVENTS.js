@@ -0,0 +1,17 @@
+// The events of the action pipeline that can fire a trigger property
+const TRIGGER_EVENTS = Object.freeze({
+  // Before an attack or roll is made against the creature
+  beforeAttacked: 'Before being attacked',
+  // After an attack or roll against the creature is resolved
+  afterAttacked: 'After being attacked',
+  damaged: 'Taking damage',
+  zeroHitPoints: 'Dropping to 0 hit points',
+  turnStart: 'Start of turn',
+  turnEnd: 'End of turn',
+  // Long rests fire short rest triggers as well
+  shortRest: 'Short or long rest',
+  longRest: 'Long rest',
+  castSpell: 'Casting a spell',
+});
+
+export default TRIGGER_EVENTS;
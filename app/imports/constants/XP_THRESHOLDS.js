@@ -0,0 +1,9 @@
+// The total XP needed to reach each level, starting at level 1
+const XP_THRESHOLDS = Object.freeze([
+  0, 300, 900, 2700, 6500,
+  14000, 23000, 34000, 48000, 64000,
+  85000, 100000, 120000, 140000, 165000,
+  195000, 225000, 265000, 305000, 355000,
+]);
+
+export default XP_THRESHOLDS;
@@ -0,0 +1,83 @@
+import { safeParse } from '/imports/parser/compute.js';
+import AccessorNode from '/imports/parser/parseTree/AccessorNode.js';
+import CallNode from '/imports/parser/parseTree/CallNode.js';
+import { collectErrors } from '/imports/parser/parseTree/ConstantNode.js';
+import OperatorNode, { arithmeticFunctions } from '/imports/parser/parseTree/OperatorNode.js';
+import RollNode from '/imports/parser/parseTree/RollNode.js';
+import SymbolNode from '/imports/parser/parseTree/SymbolNode.js';
+import UnaryOperatorNode from '/imports/parser/parseTree/UnaryOperatorNode.js';
+import compileFunctions from '/imports/parser/compileFunctions/index.js';
+import { has } from 'lodash';
+
+// Find problems with a calculation without recomputing the creature or
+// rolling any dice. If the creature's variables are given, the variables the
+// calculation references are checked against them.
+export default function analyzeExpression(string, variables){
+  let node = safeParse(string);
+  let errors = collectErrors(node);
+  let scope = variables || {};
+  let referenced = new Set();
+  let unknown = new Set();
+  node.traverse(child => {
+    if (child instanceof SymbolNode || child instanceof AccessorNode){
+      referenced.add(child.name);
+      if (variables && !has(variables, child.name)){
+        unknown.add(child.name);
+      }
+    } else if (child instanceof CallNode){
+      if (!compileFunctions[child.fn]){
+        errors.push(evaluationError(`${child.fn} is not a function`));
+      }
+    } else if (child instanceof OperatorNode){
+      errors.push(...operatorErrors(child, scope));
+    } else if (child instanceof UnaryOperatorNode){
+      let argument = child.argument.compile(scope).reduce();
+      if (child.operator === '-' && isMismatched(argument)){
+        errors.push(evaluationError(`Can't negate ${argument.type} ${argument}`));
+      }
+    } else if (child instanceof RollNode){
+      let left = child.left.compile(scope).reduce();
+      let right = child.right.compile(scope).reduce();
+      if (isMismatched(left) || isMismatched(right)){
+        errors.push(evaluationError(`Can't roll ${child}`));
+      }
+    }
+  });
+  unknown.forEach(name => errors.push({
+    type: 'subsitution',
+    message: `${name} is not a variable on this creature`,
+  }));
+  return {
+    variables: [...referenced],
+    unknownVariables: [...unknown],
+    errors,
+  };
+}
+
+function operatorErrors(node, scope){
+  let errors = [];
+  let left = node.left.compile(scope).reduce();
+  let right = node.right.compile(scope).reduce();
+  if (
+    arithmeticFunctions.includes(node.fn) &&
+    (isMismatched(left) || isMismatched(right))
+  ){
+    errors.push(evaluationError(
+      `Can't use ${node.operator} between ${left.type} and ${right.type}`
+    ));
+  }
+  if (node.operator === '/' && right.type === 'number' && right.value === 0){
+    errors.push(evaluationError(`${node} divides by zero`));
+  }
+  return errors;
+}
+
+// Strings and booleans can't be used as numbers, uncompiled values might
+// still turn out to be numbers
+function isMismatched(node){
+  return node.type === 'string' || node.type === 'boolean';
+}
+
+function evaluationError(message){
+  return {type: 'evaluation', message};
+}
@@ -1,7 +1,17 @@
 // All of the compile functions are provided for use in compiling parse trees
 // Every compile function takes in ParseNodes as arguements and returns a single
 // ConstantNode as a result
+import numberFunction from '/imports/parser/compileFunctions/numberFunction.js';
+import sum from '/imports/parser/compileFunctions/sum.js';
 
-const compileFunctions = {};
+const compileFunctions = {
+  abs: numberFunction('abs', Math.abs),
+  ceil: numberFunction('ceil', Math.ceil),
+  floor: numberFunction('floor', Math.floor),
+  max: numberFunction('max', Math.max),
+  min: numberFunction('min', Math.min),
+  round: numberFunction('round', Math.round),
+  sum,
+};
 
-export compileFunctions;
+export default compileFunctions;
@@ -0,0 +1,34 @@
+import ConstantNode from '/imports/parser/parseTree/ConstantNode.js';
+
+// Turn a function of numbers into a compile function. Rolled arrays are summed
+// before being passed to the function
+export default function numberFunction(name, fn){
+  return function(...inputNodes){
+    if (!inputNodes.length){
+      return new ConstantNode({
+        type: 'uncompiledNode',
+        value: `${name}()`,
+        errors: [{
+          type: 'evaluation',
+          message: `${name} requires at least one number`,
+        }],
+      });
+    }
+    let values = [];
+    for (let inputNode of inputNodes){
+      let node = inputNode.reduce();
+      if (node.type !== 'number'){
+        return new ConstantNode({
+          type: 'uncompiledNode',
+          value: `${name}(${inputNodes.join(', ')})`,
+          errors: [{
+            type: 'evaluation',
+            message: `${name} requires numbers, but got ${node}`,
+          }],
+        });
+      }
+      values.push(node.value);
+    }
+    return new ConstantNode({type: 'number', value: fn(...values)});
+  }
+}
@@ -1,15 +1,27 @@
+import ConstantNode from '/imports/parser/parseTree/ConstantNode.js';
+
 export default function sum(inputNode) {
+	if (!inputNode){
+		return new ConstantNode({
+			type: 'uncompiledNode',
+			value: 'sum()',
+			errors: [{type: 'evaluation', message: 'sum requires an argument'}],
+		});
+	}
   let node = inputNode.roll();
 	if (node.type === 'numberArray'){
 		let total = node.value.reduce((total, num) => total + num, 0);
 		return new ConstantNode({type: 'number', value: total});
+	} else if (node.type === 'number'){
+		return node;
 	} else {
-		let errors = node.errors || [];
-		errors.push(`Could not sum ${node.value}`);
 		return new ConstantNode({
 			type: 'uncompiledNode',
 			value: node.value,
-			errors,
+			errors: [
+				...(node.errors || []),
+				{type: 'evaluation', message: `Could not sum ${node.value}`},
+			],
 		});
 	}
 }
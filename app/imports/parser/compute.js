@@ -1 +1,32 @@
-// Takes a parse tree and computes it down as far as possible into a real number
+import { parse } from '/imports/parser/parser.js';
+import ConstantNode from '/imports/parser/parseTree/ConstantNode.js';
+
+// Parse a string into a parse tree. Strings that can't be parsed are returned
+// as uncompiled nodes with a parsing error, so the result can always be
+// compiled, rolled, or reduced.
+export function safeParse(string){
+  try {
+    return parse(string);
+  } catch (e) {
+    return new ConstantNode({
+      value: string,
+      type: 'uncompiledNode',
+      errors: [{
+        type: 'parsing',
+        message: getParsingErrorMessage(e),
+      }],
+    });
+  }
+}
+
+// Takes a string and computes it down as far as possible using the given
+// method: 'compile', 'roll', or 'reduce'. Always returns a ConstantNode.
+export default function compute(string, scope, method = 'compile'){
+  return safeParse(string)[method](scope);
+}
+
+// Nearley errors include the whole parser state, only keep the first line
+function getParsingErrorMessage(e){
+  let message = e.reason || e.message || `${e}`;
+  return message.split('\n')[0];
+}
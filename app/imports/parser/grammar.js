@@ -1,12 +1,15 @@
-// Generated automatically by nearley, version 2.16.0
+// Generated automatically by nearley, version 2.19.1
 // http://github.com/Hardmath123/nearley
 function id(x) { return x[0]; }
 
+	import AccessorNode from '/imports/parser/parseTree/AccessorNode.js';
 	import CallNode from '/imports/parser/parseTree/CallNode.js';
 	import ConstantNode from '/imports/parser/parseTree/ConstantNode.js';
 	import IfNode from '/imports/parser/parseTree/IfNode.js';
 	import OperatorNode from '/imports/parser/parseTree/OperatorNode.js';
+	import RollNode from '/imports/parser/parseTree/RollNode.js';
 	import SymbolNode from '/imports/parser/parseTree/SymbolNode.js';
+	import UnaryOperatorNode from '/imports/parser/parseTree/UnaryOperatorNode.js';
 	import moo from 'moo';
 
   const lexer = moo.compile({
@@ -15,10 +18,14 @@ function id(x) { return x[0]; }
       match: /'.*?'|".*?"/,
       value: s => s.slice(1, -1),
     },
+    // A d directly followed by a number or bracket is always a dice roll
+    diceOperator: {
+      match: /d(?=[0-9(])/,
+    },
     name: {
-      match: /[a-zA-Z]+\w*?/,
+      match: /[a-zA-Z_]\w*/,
       type: moo.keywords({
-        'keywords': ['if', 'else', 'd'],
+        'keywords': ['if', 'else', 'd', 'true', 'false'],
       }),
     },
     space: {
@@ -29,16 +36,62 @@ function id(x) { return x[0]; }
     multiplicativeOperator: ['*', '/'],
     exponentOperator: ['^'],
     additiveOperator: ['+', '-'],
-    unaryOperator: ['-'],
     andOperator: ['&', '&&'],
     orOperator: ['|', '||'],
     stringDelimiters: ['\"', '\''],
     equalityOperator: ['=', '==', '===', '!=', '!=='],
     relationalOperator: ['>', '<', '>=', '<='],
+    notOperator: ['!'],
     brackets: ['(', ')', '{', '}'],
   });
 
+  const keepDropTypes = {
+    k: 'keepHighest',
+    kh: 'keepHighest',
+    kl: 'keepLowest',
+    dh: 'dropHighest',
+    dl: 'dropLowest',
+  };
+
   function nuller() { return null; }
+  // Dice modifiers are lexed as names, so the grammar only accepts them
+  // directly after the dice size or another modifier. A single name can hold
+  // several modifiers: 4d6kh3r1. A name ending in a lone r rerolls the dice
+  // matching the comparison that follows: 2d6r<2
+  function nameModifiers(name){
+    let modifiers = [];
+    let pattern = /(kh|kl|dh|dl|k)([0-9]+)|r([0-9]+)|(r)$/y;
+    let match;
+    while (pattern.lastIndex < name.length){
+      match = pattern.exec(name);
+      if (!match) return;
+      if (match[1]){
+        modifiers.push({type: keepDropTypes[match[1]], count: +match[2]});
+      } else if (match[3]){
+        modifiers.push({type: 'reroll', comparison: '=', target: +match[3]});
+      } else {
+        modifiers.push({type: 'reroll'});
+      }
+    }
+    return modifiers;
+  }
+  function endsWithComparisonReroll(modifiers){
+    let last = modifiers[modifiers.length - 1];
+    return last.type === 'reroll' && !last.comparison;
+  }
+  // Nodes that were written inside brackets
+  const bracketed = new WeakSet();
+  function bracket(node){
+    bracketed.add(node);
+    return node;
+  }
+  // Whether the expression is written ending in an unbracketed roll
+  function endsWithRoll(node){
+    if (bracketed.has(node)) return false;
+    if (node instanceof OperatorNode) return endsWithRoll(node.right);
+    if (node instanceof UnaryOperatorNode) return endsWithRoll(node.argument);
+    return node instanceof RollNode;
+  }
   function operator([left, _1, operator, _2, right], fn){
     return new OperatorNode({
       left,
@@ -56,7 +109,11 @@ let ParserRules = [
     {"name": "expression", "symbols": ["equalityExpression"], "postprocess": d => d[0]},
     {"name": "equalityExpression", "symbols": ["equalityExpression", "_", (lexer.has("equalityOperator") ? {type: "equalityOperator"} : equalityOperator), "_", "relationalExpression"], "postprocess": d => operator(d, 'equality')},
     {"name": "equalityExpression", "symbols": ["relationalExpression"], "postprocess": id},
-    {"name": "relationalExpression", "symbols": ["relationalExpression", "_", (lexer.has("relationalOperator") ? {type: "relationalOperator"} : relationalOperator), "_", "orExpression"], "postprocess": d => operator(d, 'relation')},
+    {"name": "relationalExpression", "symbols": ["relationalExpression", "_", (lexer.has("relationalOperator") ? {type: "relationalOperator"} : relationalOperator), "_", "orExpression"], "postprocess": 
+        (d, location, reject) => (!d[1] && !d[3] && endsWithRoll(d[0])) ?
+          reject :
+          operator(d, 'relation')
+          },
     {"name": "relationalExpression", "symbols": ["orExpression"], "postprocess": id},
     {"name": "orExpression", "symbols": ["orExpression", "_", (lexer.has("orOperator") ? {type: "orOperator"} : orOperator), "_", "andExpression"], "postprocess": d => operator(d, 'or')},
     {"name": "orExpression", "symbols": ["andExpression"], "postprocess": id},
@@ -64,14 +121,69 @@ let ParserRules = [
     {"name": "andExpression", "symbols": ["additiveExpression"], "postprocess": id},
     {"name": "additiveExpression", "symbols": ["additiveExpression", "_", (lexer.has("additiveOperator") ? {type: "additiveOperator"} : additiveOperator), "_", "multiplicativeExpression"], "postprocess": d => operator(d, 'add')},
     {"name": "additiveExpression", "symbols": ["multiplicativeExpression"], "postprocess": id},
-    {"name": "multiplicativeExpression", "symbols": ["multiplicativeExpression", "_", (lexer.has("multiplicativeOperator") ? {type: "multiplicativeOperator"} : multiplicativeOperator), "_", "rollExpression"], "postprocess": d => operator(d, 'multiply')},
-    {"name": "multiplicativeExpression", "symbols": ["rollExpression"], "postprocess": id},
-    {"name": "rollExpression", "symbols": ["rollExpression", "_", {"literal":"d"}, "_", "exponentExpression"], "postprocess": d => operator(d, 'roll')},
+    {"name": "multiplicativeExpression", "symbols": ["multiplicativeExpression", "_", (lexer.has("multiplicativeOperator") ? {type: "multiplicativeOperator"} : multiplicativeOperator), "_", "unaryExpression"], "postprocess": d => operator(d, 'multiply')},
+    {"name": "multiplicativeExpression", "symbols": ["unaryExpression"], "postprocess": id},
+    {"name": "unaryExpression", "symbols": [{"literal":"-"}, "_", "unaryExpression"], "postprocess": 
+        d => new UnaryOperatorNode({operator: '-', argument: d[2]})
+          },
+    {"name": "unaryExpression", "symbols": [{"literal":"!"}, "_", "unaryExpression"], "postprocess": 
+        d => new UnaryOperatorNode({operator: '!', argument: d[2]})
+          },
+    {"name": "unaryExpression", "symbols": ["implicitMultiplication"], "postprocess": id},
+    {"name": "unaryExpression", "symbols": ["rollExpression"], "postprocess": id},
+    {"name": "implicitMultiplication", "symbols": ["number", "_", "implicitOperand"], "postprocess": 
+        d => new OperatorNode({
+          left: d[0],
+          right: d[2],
+          operator: '*',
+          fn: 'multiply',
+        })
+          },
+    {"name": "implicitOperand", "symbols": [{"literal":"("}, "_", "expression", "_", {"literal":")"}], "postprocess": d => bracket(d[2])},
+    {"name": "implicitOperand", "symbols": [(lexer.has("name") ? {type: "name"} : name), "_", "arguments"], "postprocess": 
+        d => new CallNode ({fn: d[0].value, args: d[2]})
+          },
+    {"name": "implicitOperand", "symbols": ["accessor"], "postprocess": id},
+    {"name": "implicitOperand", "symbols": ["name"], "postprocess": id},
+    {"name": "rollExpression$ebnf$1", "symbols": []},
+    {"name": "rollExpression$ebnf$1", "symbols": ["rollExpression$ebnf$1", "rollModifier"], "postprocess": function arrpush(d) {return d[0].concat([d[1]]);}},
+    {"name": "rollExpression", "symbols": ["rollExpression", "_", {"literal":"d"}, "_", "exponentExpression", "rollExpression$ebnf$1"], "postprocess": 
+        d => new RollNode({left: d[0], right: d[4], modifiers: [].concat(...d[5])})
+          },
+    {"name": "rollExpression$ebnf$2", "symbols": []},
+    {"name": "rollExpression$ebnf$2", "symbols": ["rollExpression$ebnf$2", "rollModifier"], "postprocess": function arrpush(d) {return d[0].concat([d[1]]);}},
+    {"name": "rollExpression", "symbols": [{"literal":"d"}, "_", "exponentExpression", "rollExpression$ebnf$2"], "postprocess": 
+        d => new RollNode({
+          left: new ConstantNode({value: 1, type: 'number'}),
+          right: d[2],
+          modifiers: [].concat(...d[3]),
+        })
+          },
     {"name": "rollExpression", "symbols": ["exponentExpression"], "postprocess": id},
+    {"name": "rollModifier", "symbols": [(lexer.has("name") ? {type: "name"} : name)], "postprocess": 
+        (d, location, reject) => {
+          let modifiers = nameModifiers(d[0].value);
+          if (!modifiers || endsWithComparisonReroll(modifiers)) return reject;
+          return modifiers;
+        }
+          },
+    {"name": "rollModifier", "symbols": [(lexer.has("name") ? {type: "name"} : name), "diceComparison"], "postprocess": 
+        (d, location, reject) => {
+          let modifiers = nameModifiers(d[0].value);
+          if (!modifiers || !endsWithComparisonReroll(modifiers)) return reject;
+          modifiers[modifiers.length - 1] = {type: 'reroll', ...d[1]};
+          return modifiers;
+        }
+          },
+    {"name": "rollModifier", "symbols": [{"literal":"!"}], "postprocess": () => [{type: 'explode'}]},
+    {"name": "rollModifier", "symbols": ["diceComparison"], "postprocess": d => [{type: 'success', ...d[0]}]},
+    {"name": "diceComparison", "symbols": [(lexer.has("relationalOperator") ? {type: "relationalOperator"} : relationalOperator), (lexer.has("number") ? {type: "number"} : number)], "postprocess": 
+        d => ({comparison: d[0].value, target: +d[1].value})
+          },
     {"name": "exponentExpression", "symbols": ["callExpression", "_", (lexer.has("exponentOperator") ? {type: "exponentOperator"} : exponentOperator), "_", "exponentExpression"], "postprocess": d => operator(d, 'exponent')},
     {"name": "exponentExpression", "symbols": ["callExpression"], "postprocess": id},
-    {"name": "callExpression", "symbols": ["name", "_", "arguments"], "postprocess": 
-        d => new CallNode ({type: "call", fn: d[0], arguments: d[2]})
+    {"name": "callExpression", "symbols": [(lexer.has("name") ? {type: "name"} : name), "_", "arguments"], "postprocess": 
+        d => new CallNode ({fn: d[0].value, args: d[2]})
           },
     {"name": "callExpression", "symbols": ["parenthesizedExpression"], "postprocess": id},
     {"name": "arguments$ebnf$1$subexpression$1", "symbols": ["expression"], "postprocess": d => d[0]},
@@ -81,18 +193,29 @@ let ParserRules = [
     {"name": "arguments$ebnf$2$subexpression$1", "symbols": ["_", {"literal":","}, "_", "expression"], "postprocess": d => d[3]},
     {"name": "arguments$ebnf$2", "symbols": ["arguments$ebnf$2", "arguments$ebnf$2$subexpression$1"], "postprocess": function arrpush(d) {return d[0].concat([d[1]]);}},
     {"name": "arguments", "symbols": [{"literal":"("}, "_", "arguments$ebnf$1", "arguments$ebnf$2", "_", {"literal":")"}], "postprocess": 
-        d => [d[2], ...d[3]]
+        d => d[2] ? [d[2], ...d[3]] : []
           },
-    {"name": "parenthesizedExpression", "symbols": [{"literal":"("}, "_", "expression", "_", {"literal":")"}], "postprocess": d => d[2]},
+    {"name": "parenthesizedExpression", "symbols": [{"literal":"("}, "_", "expression", "_", {"literal":")"}], "postprocess": d => bracket(d[2])},
     {"name": "parenthesizedExpression", "symbols": ["valueExpression"], "postprocess": id},
+    {"name": "valueExpression", "symbols": ["accessor"], "postprocess": id},
     {"name": "valueExpression", "symbols": ["name"], "postprocess": id},
     {"name": "valueExpression", "symbols": ["number"], "postprocess": id},
     {"name": "valueExpression", "symbols": ["string"], "postprocess": id},
-    {"name": "number", "symbols": [(lexer.has("number") ? {type: "number"} : number)], "postprocess": d => new ConstantNode({value: d[0].value, type: 'number'})},
+    {"name": "valueExpression", "symbols": ["boolean"], "postprocess": id},
+    {"name": "number", "symbols": [(lexer.has("number") ? {type: "number"} : number)], "postprocess": d => new ConstantNode({value: +d[0].value, type: 'number'})},
     {"name": "name", "symbols": [(lexer.has("name") ? {type: "name"} : name)], "postprocess": d => new SymbolNode({name: d[0].value})},
+    {"name": "accessor$ebnf$1$subexpression$1", "symbols": [{"literal":"."}, (lexer.has("name") ? {type: "name"} : name)], "postprocess": d => d[1].value},
+    {"name": "accessor$ebnf$1", "symbols": ["accessor$ebnf$1$subexpression$1"]},
+    {"name": "accessor$ebnf$1$subexpression$2", "symbols": [{"literal":"."}, (lexer.has("name") ? {type: "name"} : name)], "postprocess": d => d[1].value},
+    {"name": "accessor$ebnf$1", "symbols": ["accessor$ebnf$1", "accessor$ebnf$1$subexpression$2"], "postprocess": function arrpush(d) {return d[0].concat([d[1]]);}},
+    {"name": "accessor", "symbols": [(lexer.has("name") ? {type: "name"} : name), "accessor$ebnf$1"], "postprocess": 
+        d => new AccessorNode({name: d[0].value, path: d[1]})
+          },
     {"name": "string", "symbols": [(lexer.has("string") ? {type: "string"} : string)], "postprocess": d => new ConstantNode({value: d[0].value, type: 'string'})},
-    {"name": "_", "symbols": []},
-    {"name": "_", "symbols": [(lexer.has("space") ? {type: "space"} : space)], "postprocess": nuller}
+    {"name": "boolean", "symbols": [{"literal":"true"}], "postprocess": () => new ConstantNode({value: true, type: 'boolean'})},
+    {"name": "boolean", "symbols": [{"literal":"false"}], "postprocess": () => new ConstantNode({value: false, type: 'boolean'})},
+    {"name": "_", "symbols": [], "postprocess": nuller},
+    {"name": "_", "symbols": [(lexer.has("space") ? {type: "space"} : space)], "postprocess": id}
 ];
 let ParserStart = "ifStatement";
 export default { Lexer, ParserRules, ParserStart };
@@ -0,0 +1,52 @@
+import ParseNode from '/imports/parser/parseTree/ParseNode.js';
+import ConstantNode from '/imports/parser/parseTree/ConstantNode.js';
+import { has } from 'lodash';
+
+export default class AccessorNode extends ParseNode {
+  constructor({name, path}){
+		super();
+    // strength.modifier has the name `strength` and the path ['modifier']
+    this.name = name;
+    this.path = path;
+  }
+  compile(scope){
+    // Only own properties are read, so names like `constructor` don't resolve
+    // to what the objects inherit
+    let value = has(scope, this.name) ? scope[this.name] : undefined;
+    this.path.forEach(key => {
+      value = value && typeof value === 'object' && has(value, key) ?
+        value[key] : undefined;
+    });
+    let type = typeof value;
+    if (type === 'string' || type === 'number' || type === 'boolean'){
+      return new ConstantNode({value, type});
+    } else {
+      return new ConstantNode({
+        value: this.toString(),
+        type: 'uncompiledNode',
+        errors: [{
+          type: 'subsitution',
+          message: `${this.toString()} could not be resolved`,
+        }],
+      });
+    }
+  }
+  breakdown(scope){
+    let result = this.compile(scope);
+    return {
+      result,
+      detail: {
+        type: 'variable',
+        name: this.toString(),
+        // Unresolved variables have no value
+        value: result.type === 'uncompiledNode' ? undefined : result.value,
+      },
+    };
+  }
+  traverse(callback){
+    callback(this);
+  }
+  toString(){
+    return [this.name, ...this.path].join('.');
+  }
+}
@@ -1 +1,78 @@
-//TODO
+import ParseNode from '/imports/parser/parseTree/ParseNode.js';
+import ConstantNode, { collectErrors } from '/imports/parser/parseTree/ConstantNode.js';
+import compileFunctions from '/imports/parser/compileFunctions/index.js';
+
+export default class CallNode extends ParseNode {
+  constructor({fn, args}){
+		super();
+    // The name of the function to call
+    this.fn = fn;
+    this.args = args;
+  }
+  compile(scope){
+    return this.resolve('compile', scope);
+  }
+  roll(scope){
+    return this.resolve('roll', scope);
+  }
+  reduce(scope){
+    return this.resolve('reduce', scope).reduce();
+  }
+  resolve(method, scope){
+    // Arguments are rolled rather than reduced so that functions like sum can
+    // still see the individual dice
+    let argMethod = method === 'reduce' ? 'roll' : method;
+    let args = this.args.map(arg => arg[argMethod](scope));
+    let fn = compileFunctions[this.fn];
+    if (!fn){
+      return this.uncompiled(args, [{
+        type: 'evaluation',
+        message: `${this.fn} is not a function`,
+      }]);
+    }
+    if (args.some(arg => arg.type === 'uncompiledNode')){
+      return this.uncompiled(args);
+    }
+    let result = fn(...args);
+    let errors = collectErrors(...args, result);
+    if (result.type === 'uncompiledNode'){
+      // The function couldn't resolve its arguments
+      return this.uncompiled(args, collectErrors(result));
+    }
+    return new ConstantNode({
+      value: result.value,
+      type: result.type,
+      errors,
+    });
+  }
+  uncompiled(args, extraErrors = []){
+    return new ConstantNode({
+      value: `${this.fn}(${args.join(', ')})`,
+      type: 'uncompiledNode',
+      errors: [...collectErrors(...args), ...extraErrors],
+    });
+  }
+  breakdown(scope){
+    let args = this.args.map(arg => arg.breakdown(scope));
+    let result = new CallNode({
+      fn: this.fn,
+      args: args.map(arg => arg.result),
+    }).roll();
+    return {
+      result,
+      detail: {
+        type: 'call',
+        fn: this.fn,
+        args: args.map(arg => arg.detail),
+        value: result.value,
+      },
+    };
+  }
+  traverse(callback){
+    callback(this);
+    this.args.forEach(arg => arg.traverse(callback));
+  }
+  toString(){
+    return `${this.fn}(${this.args.join(', ')})`;
+  }
+}
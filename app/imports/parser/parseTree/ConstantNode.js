@@ -1,21 +1,54 @@
 import ParseNode from '/imports/parser/parseTree/ParseNode.js';
 
 export default class ConstantNode extends ParseNode {
-  constructor({value, type, errors}){
+  constructor({value, type, errors, dice}){
 		super();
     // string, number, boolean, numberArray, uncompiledNode
     this.type = type;
     this.value = value;
-    if (errors) this.errors = errors;
+    if (errors && errors.length) this.errors = errors;
+    // Rolled number arrays keep a record of every die that was rolled
+    if (dice) this.dice = dice;
   }
   compile(){
     return this;
   }
+  roll(){
+    return this;
+  }
   reduce(){
     if (this.type === 'numberArray'){
-	    return this.value.reduce((total, num) => total + num, 0);
-		} else {
-			return this;
-		}
+      return new ConstantNode({
+        value: this.value.reduce((total, num) => total + num, 0),
+        type: 'number',
+        errors: this.errors,
+      });
+    } else {
+      return this;
+    }
+  }
+  breakdown(){
+    return {
+      result: this,
+      detail: {type: 'constant', value: this.value, valueType: this.type},
+    };
   }
+  toString(){
+    if (this.type === 'string'){
+      return `'${this.value}'`;
+    } else if (this.type === 'numberArray'){
+      return `[${this.value.join(', ')}]`;
+    } else {
+      return `${this.value}`;
+    }
+  }
+}
+
+// Gather the errors of all the given nodes into a single array
+export function collectErrors(...nodes){
+  let errors = [];
+  nodes.forEach(node => {
+    if (node && node.errors) errors.push(...node.errors);
+  });
+  return errors;
 }
@@ -1,5 +1,5 @@
 import ParseNode from '/imports/parser/parseTree/ParseNode.js';
-import ConstantNode from '/imports/parser/parseTree/ConstantNode.js';
+import ConstantNode, { collectErrors } from '/imports/parser/parseTree/ConstantNode.js';
 
 export default class IfNode extends ParseNode {
   constructor({condition, consequent, alternative}){
@@ -8,33 +8,88 @@ export default class IfNode extends ParseNode {
     this.consequent = consequent;
     this.alternative = alternative;
   }
-  compile(){
-    let condition = this.condition.compile();
-    let consequent = this.consequent.compile();
-    let alternative = this.alternative.compile();
+  compile(scope){
+    return this.resolve('compile', scope);
+  }
+  roll(scope){
+    return this.resolve('roll', scope);
+  }
+  reduce(scope){
+    return this.resolve('reduce', scope);
+  }
+  resolve(method, scope){
+    let condition = this.condition[method](scope).reduce();
     if (
       condition.type !== 'string' &&
 			condition.type !== 'number' &&
 			condition.type !== 'boolean'
     ){
       // Handle unresolved condition
+      let consequent = this.consequent[method](scope);
+      let alternative = this.alternative[method](scope);
       return new ConstantNode({
-        value: `if (${condition.value}) ${consequent.value} else ${alternative.value}`,
+        value: `if (${condition}) ${consequent} else ${alternative}`,
         type: 'uncompiledNode',
-        errors: [
-          ...condition.errors,
-          ...consequent.errors,
-          ...alternative.errors,
-        ],
+        errors: collectErrors(condition, consequent, alternative),
       });
     } else {
 			// So long as the condition reolves, return the correct alternative,
-			// even if it's unresolved
+			// even if it's unresolved. Only the chosen branch is evaluated, so the
+			// other branch doesn't roll dice or report errors
       if (condition.value){
-        return consequent;
+        return this.consequent[method](scope);
       } else {
-        return alternative;
+        return this.alternative[method](scope);
       }
     }
   }
+  breakdown(scope){
+    let condition = this.condition.breakdown(scope);
+    let conditionResult = condition.result.reduce();
+    if (
+      conditionResult.type !== 'string' &&
+      conditionResult.type !== 'number' &&
+      conditionResult.type !== 'boolean'
+    ){
+      let consequent = this.consequent.breakdown(scope);
+      let alternative = this.alternative.breakdown(scope);
+      let result = new IfNode({
+        condition: conditionResult,
+        consequent: consequent.result,
+        alternative: alternative.result,
+      }).roll();
+      return {
+        result,
+        detail: {
+          type: 'if',
+          condition: condition.detail,
+          consequent: consequent.detail,
+          alternative: alternative.detail,
+          value: result.value,
+        },
+      };
+    }
+    // Only the chosen branch is rolled
+    let branch = conditionResult.value ?
+      this.consequent.breakdown(scope) :
+      this.alternative.breakdown(scope);
+    return {
+      result: branch.result,
+      detail: {
+        type: 'if',
+        condition: condition.detail,
+        branch: branch.detail,
+        value: branch.detail.value,
+      },
+    };
+  }
+  traverse(callback){
+    callback(this);
+    this.condition.traverse(callback);
+    this.consequent.traverse(callback);
+    this.alternative.traverse(callback);
+  }
+  toString(){
+    return `if (${this.condition}) ${this.consequent} else ${this.alternative}`;
+  }
 }
@@ -1,4 +1,8 @@
 import ParseNode from '/imports/parser/parseTree/ParseNode.js';
+import ConstantNode, { collectErrors } from '/imports/parser/parseTree/ConstantNode.js';
+
+// Operator functions which only make sense between numbers
+export const arithmeticFunctions = ['add', 'multiply', 'exponent'];
 
 export default class OperatorNode extends ParseNode {
   constructor({left, right, operator, fn}) {
@@ -8,4 +12,122 @@ export default class OperatorNode extends ParseNode {
     this.fn = fn;
     this.operator = operator;
   }
+  compile(scope){
+    return this.resolve('compile', scope);
+  }
+  roll(scope){
+    return this.resolve('roll', scope);
+  }
+  reduce(scope){
+    return this.resolve('reduce', scope);
+  }
+  resolve(method, scope){
+    // Operators act on single values, so any rolled arrays are summed first
+    let left = this.left[method](scope).reduce();
+    let right = this.right[method](scope).reduce();
+    if (
+      left.type === 'uncompiledNode' ||
+      right.type === 'uncompiledNode'
+    ){
+      return this.uncompiled(left, right);
+    }
+    if (
+      arithmeticFunctions.includes(this.fn) &&
+      (left.type !== 'number' || right.type !== 'number')
+    ){
+      return this.uncompiled(left, right, [{
+        type: 'evaluation',
+        message: `Can't use ${this.operator} between ${left.type} and ${right.type}`,
+      }]);
+    }
+    let value = applyOperator(this.operator, left.value, right.value);
+    let errors = collectErrors(left, right);
+    // Dividing by zero gives Infinity or NaN, which is never what was meant
+    if (this.operator === '/' && right.value === 0){
+      errors.push({
+        type: 'evaluation',
+        message: `${this} divides by zero`,
+      });
+    }
+    return new ConstantNode({
+      value,
+      type: typeof value,
+      errors,
+    });
+  }
+  // Combine the partially compiled operands back into an expression
+  uncompiled(left, right, extraErrors = []){
+    return new ConstantNode({
+      value: `${wrap(this.left, left)} ${this.operator} ${wrap(this.right, right)}`,
+      type: 'uncompiledNode',
+      errors: [...collectErrors(left, right), ...extraErrors],
+    });
+  }
+  breakdown(scope){
+    let left = this.left.breakdown(scope);
+    let right = this.right.breakdown(scope);
+    let result = new OperatorNode({
+      left: left.result,
+      right: right.result,
+      operator: this.operator,
+      fn: this.fn,
+    }).reduce();
+    return {
+      result,
+      detail: {
+        type: 'operator',
+        operator: this.operator,
+        left: left.detail,
+        right: right.detail,
+        value: result.value,
+      },
+    };
+  }
+  traverse(callback){
+    callback(this);
+    this.left.traverse(callback);
+    this.right.traverse(callback);
+  }
+  toString(){
+    let left = this.left instanceof OperatorNode ?
+      `(${this.left})` : `${this.left}`;
+    let right = this.right instanceof OperatorNode ?
+      `(${this.right})` : `${this.right}`;
+    return `${left} ${this.operator} ${right}`;
+  }
+}
+
+// Uncompiled operands that are themselves operations need brackets to keep
+// their order of operations
+function wrap(node, result){
+  if (node instanceof OperatorNode && result.type === 'uncompiledNode'){
+    return `(${result})`;
+  } else {
+    return `${result}`;
+  }
+}
+
+function applyOperator(operator, left, right){
+  switch (operator){
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return left / right;
+    case '^': return Math.pow(left, right);
+    case '&':
+    case '&&': return left && right;
+    case '|':
+    case '||': return left || right;
+    case '=':
+    case '==': return left == right;
+    case '===': return left === right;
+    case '!=': return left != right;
+    case '!==': return left !== right;
+    case '>': return left > right;
+    case '<': return left < right;
+    case '>=': return left >= right;
+    case '<=': return left <= right;
+    default:
+      throw new Meteor.Error(`Unknown operator: ${operator}`);
+  }
 }
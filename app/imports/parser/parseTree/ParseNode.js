@@ -1,14 +1,31 @@
 export default class ParseNode {
   // Compiling a node must return a ConstantNode
   compile(){
-    throw new Meteor.Error('Compile not implemented on ' + this);
+    throw new Meteor.Error('Compile not implemented on ' + this.constructor.name);
   }
 	// Compile, but turn rolls into arrays
-  roll(){
-    return this.compile();
+  roll(scope){
+    return this.compile(scope);
   }
 	// Compile, turn rolls into arrays, and reduce those arrays into single values
-	reduce(){
-		return this.compileAndRoll()
+	reduce(scope){
+		return this.roll(scope).reduce();
 	}
+  // Roll the node, returning the rolled result along with a detail object
+  // describing how the result was reached
+  breakdown(scope){
+    let result = this.roll(scope);
+    return {
+      result,
+      detail: {type: 'constant', value: result.value},
+    };
+  }
+  // Call the callback on this node and all of its descendants
+  traverse(callback){
+    callback(this);
+  }
+  // The string representation of the node as it would be written in a formula
+  toString(){
+    throw new Meteor.Error('toString not implemented on ' + this.constructor.name);
+  }
 }
@@ -0,0 +1,229 @@
+import ParseNode from '/imports/parser/parseTree/ParseNode.js';
+import ConstantNode, { collectErrors } from '/imports/parser/parseTree/ConstantNode.js';
+import { getRng } from '/imports/parser/rng.js';
+
+// The most dice that can be rolled by a single roll node, including dice
+// added by rerolls and explosions
+export const MAX_DICE = 100;
+
+export default class RollNode extends ParseNode {
+  constructor({left, right, modifiers = []}){
+		super();
+    // Number of dice
+    this.left = left;
+    // Dice size
+    this.right = right;
+    // Keep, drop, reroll, explode and success counting modifiers
+    this.modifiers = modifiers;
+  }
+  // Compiling simplifies the number and size of the dice, but never rolls them
+  compile(scope){
+    let left = this.left.compile(scope).reduce();
+    let right = this.right.compile(scope).reduce();
+    return new ConstantNode({
+      value: `${wrap(left)}d${wrap(right)}${modifiersString(this.modifiers)}`,
+      type: 'uncompiledNode',
+      errors: collectErrors(left, right),
+    });
+  }
+  // Rolling returns an array of every die that counts towards the total,
+  // along with a record of every die that was rolled
+  roll(scope){
+    return this.rollDetails(scope).result;
+  }
+  breakdown(scope){
+    let {expression, result} = this.rollDetails(scope);
+    let detail = {type: 'roll', expression, value: result.value};
+    if (result.type === 'numberArray'){
+      detail.dice = result.dice;
+      detail.values = result.value;
+      detail.value = result.reduce().value;
+    }
+    return {result, detail};
+  }
+  // Roll the dice, also returning the roll as written with its number and
+  // size of dice resolved
+  rollDetails(scope){
+    let left = this.left.reduce(scope);
+    let right = this.right.reduce(scope);
+    let expression = `${wrap(left)}d${wrap(right)}${modifiersString(this.modifiers)}`;
+    let errors = collectErrors(left, right);
+    if (left.type !== 'number' || right.type !== 'number'){
+      errors.push(rollError(`Can't roll ${wrap(left)}d${wrap(right)}`));
+    } else if (!Number.isInteger(left.value) || left.value < 0){
+      errors.push(rollError(`Can't roll ${left.value} dice`));
+    } else if (left.value > MAX_DICE){
+      errors.push(rollError(`Can only roll ${MAX_DICE} dice at a time`));
+    } else if (!Number.isInteger(right.value) || right.value < 1){
+      errors.push(rollError(`Can't roll dice with ${right.value} sides`));
+    } else if (right.value === 1 && this.hasModifier('explode')){
+      errors.push(rollError('Can\'t explode dice with 1 side'));
+    } else {
+      let dice = this.rollDice(left.value, right.value, errors);
+      let counted = dice.filter(die => !die.dropped && !die.rerolled);
+      let values = this.hasModifier('success') ?
+        counted.map(die => die.success ? 1 : 0) :
+        counted.map(die => die.value);
+      return {
+        expression,
+        result: new ConstantNode({
+          value: values,
+          type: 'numberArray',
+          errors,
+          dice,
+        }),
+      };
+    }
+    return {
+      expression,
+      result: new ConstantNode({
+        value: expression,
+        type: 'uncompiledNode',
+        errors,
+      }),
+    };
+  }
+  // Modifiers are always applied in the same order regardless of how they are
+  // written: reroll, explode, keep or drop, then count successes
+  rollDice(number, diceSize, errors){
+    let dice = [];
+    for (let i = 0; i < number; i++){
+      dice.push({value: rollDie(diceSize)});
+    }
+    this.modifiers.filter(mod => mod.type === 'reroll').forEach(mod => {
+      dice = rerollDice(dice, diceSize, mod, errors);
+    });
+    if (this.hasModifier('explode')){
+      dice = explodeDice(dice, diceSize, errors);
+    }
+    this.modifiers.forEach(mod => {
+      if (keepDropTypes.includes(mod.type)) keepOrDropDice(dice, mod);
+    });
+    this.modifiers.filter(mod => mod.type === 'success').forEach(mod => {
+      dice.forEach(die => {
+        if (die.dropped || die.rerolled) return;
+        die.success = compare(die.value, mod);
+      });
+    });
+    return dice;
+  }
+  hasModifier(type){
+    return this.modifiers.some(mod => mod.type === type);
+  }
+  traverse(callback){
+    callback(this);
+    this.left.traverse(callback);
+    this.right.traverse(callback);
+  }
+  toString(){
+    return `${this.left}d${this.right}${modifiersString(this.modifiers)}`;
+  }
+}
+
+const keepDropTypes = ['keepHighest', 'keepLowest', 'dropHighest', 'dropLowest'];
+
+const modifierPrefixes = {
+  keepHighest: 'kh',
+  keepLowest: 'kl',
+  dropHighest: 'dh',
+  dropLowest: 'dl',
+};
+
+function modifiersString(modifiers){
+  return modifiers.map(mod => {
+    switch (mod.type){
+      case 'keepHighest':
+      case 'keepLowest':
+      case 'dropHighest':
+      case 'dropLowest':
+        return `${modifierPrefixes[mod.type]}${mod.count}`;
+      case 'reroll':
+        return mod.comparison === '=' ?
+          `r${mod.target}` :
+          `r${mod.comparison}${mod.target}`;
+      case 'explode':
+        return '!';
+      case 'success':
+        return `${mod.comparison}${mod.target}`;
+    }
+  }).join('');
+}
+
+// As in common dice notation, < and > include the target number
+function compare(value, {comparison, target}){
+  switch (comparison){
+    case '<':
+    case '<=':
+      return value <= target;
+    case '>':
+    case '>=':
+      return value >= target;
+    default:
+      return value === target;
+  }
+}
+
+// Each matching die is rerolled once, the new roll stands
+function rerollDice(dice, diceSize, mod, errors){
+  let result = [];
+  let total = dice.length;
+  dice.forEach(die => {
+    result.push(die);
+    if (die.dropped || die.rerolled || !compare(die.value, mod)) return;
+    if (total >= MAX_DICE) return tooManyDice(errors);
+    total += 1;
+    die.rerolled = true;
+    result.push({value: rollDie(diceSize), reroll: true});
+  });
+  return result;
+}
+
+// Dice that roll their maximum add another die, which can explode again
+function explodeDice(dice, diceSize, errors){
+  let result = [];
+  let total = dice.length;
+  let addDie = die => {
+    result.push(die);
+    if (die.dropped || die.rerolled || die.value !== diceSize) return;
+    if (total >= MAX_DICE) return tooManyDice(errors);
+    total += 1;
+    die.exploded = true;
+    addDie({value: rollDie(diceSize), explosion: true});
+  };
+  dice.forEach(addDie);
+  return result;
+}
+
+function tooManyDice(errors){
+  let message = `Stopped rolling after ${MAX_DICE} dice`;
+  if (errors.some(e => e.message === message)) return;
+  errors.push(rollError(message));
+}
+
+// Marks dice as dropped, leaving the dice in the order they were rolled
+function keepOrDropDice(dice, {type, count}){
+  let counted = dice.filter(die => !die.dropped && !die.rerolled);
+  let highestFirst = type === 'keepHighest' || type === 'dropHighest';
+  let sorted = [...counted].sort((a, b) => highestFirst ?
+    b.value - a.value :
+    a.value - b.value
+  );
+  let toDrop = type.startsWith('keep') ?
+    sorted.slice(count) :
+    sorted.slice(0, count);
+  toDrop.forEach(die => die.dropped = true);
+}
+
+function rollError(message){
+  return {type: 'evaluation', message};
+}
+
+function rollDie(diceSize){
+  return getRng().rollDie(diceSize);
+}
+
+// Anything more complex than a single value needs brackets around it
+function wrap(node){
+  let string = `${node}`;
+  return /^\d+$/.test(string) ? string : `(${string})`;
+}
@@ -1,5 +1,6 @@
 import ParseNode from '/imports/parser/parseTree/ParseNode.js';
 import ConstantNode from '/imports/parser/parseTree/ConstantNode.js';
+import { has } from 'lodash';
 
 export default class SymbolNode extends ParseNode {
   constructor({name}){
@@ -7,18 +8,53 @@ export default class SymbolNode extends ParseNode {
     this.name = name;
   }
   compile(scope){
-    let value = scope && scope[this.name];
+    // Only the scope's own variables, not what its prototype inherits
+    let value = has(scope, this.name) ? scope[this.name] : undefined;
+    // Bare symbols of stats resolve to the stat's value
+    if (value && typeof value === 'object'){
+      if (!has(value, 'value') || value.value === undefined){
+        return new ConstantNode({
+          value: this.name,
+          type: 'uncompiledNode',
+          errors: [{
+            type: 'subsitution',
+            message: `${this.name} does not have a value`,
+          }],
+        });
+      }
+      value = value.value;
+    }
     let type = typeof value;
     if (type === 'string' || type === 'number' || type === 'boolean'){
       return new ConstantNode({value, type});
-    } else if (type === 'undefined'){
+    } else {
+      // Undefined, null and any other values can't be used in a calculation
       return new ConstantNode({
         value: this.name,
         type: 'uncompiledNode',
-        errors: [`${this.name} could not be resolved`]
+        errors: [{
+          type: 'subsitution',
+          message: `${this.name} could not be resolved`,
+        }],
       });
-    } else {
-      throw new Meteor.Error(`Unexpected case: ${this.name} resolved to ${value}`);
     }
   }
+  breakdown(scope){
+    let result = this.compile(scope);
+    return {
+      result,
+      detail: {
+        type: 'variable',
+        name: this.toString(),
+        // Unresolved variables have no value
+        value: result.type === 'uncompiledNode' ? undefined : result.value,
+      },
+    };
+  }
+  traverse(callback){
+    callback(this);
+  }
+  toString(){
+    return this.name;
+  }
 }
@@ -0,0 +1,79 @@
+import ParseNode from '/imports/parser/parseTree/ParseNode.js';
+import ConstantNode, { collectErrors } from '/imports/parser/parseTree/ConstantNode.js';
+
+export default class UnaryOperatorNode extends ParseNode {
+  constructor({operator, argument}){
+		super();
+    // `-` negates numbers, `!` inverts truthiness
+    this.operator = operator;
+    this.argument = argument;
+  }
+  compile(scope){
+    return this.resolve('compile', scope);
+  }
+  roll(scope){
+    return this.resolve('roll', scope);
+  }
+  reduce(scope){
+    return this.resolve('reduce', scope);
+  }
+  resolve(method, scope){
+    let argument = this.argument[method](scope).reduce();
+    if (argument.type === 'uncompiledNode'){
+      return this.uncompiled(argument);
+    }
+    if (this.operator === '-'){
+      if (argument.type !== 'number'){
+        return this.uncompiled(argument, [{
+          type: 'evaluation',
+          message: `Can't negate ${argument.type} ${argument}`,
+        }]);
+      }
+      return new ConstantNode({
+        value: -argument.value,
+        type: 'number',
+        errors: collectErrors(argument),
+      });
+    } else {
+      return new ConstantNode({
+        value: !argument.value,
+        type: 'boolean',
+        errors: collectErrors(argument),
+      });
+    }
+  }
+  uncompiled(argument, extraErrors = []){
+    let string = `${argument}`;
+    if (!/^[\w.]+$/.test(string)) string = `(${string})`;
+    return new ConstantNode({
+      value: `${this.operator}${string}`,
+      type: 'uncompiledNode',
+      errors: [...collectErrors(argument), ...extraErrors],
+    });
+  }
+  breakdown(scope){
+    let argument = this.argument.breakdown(scope);
+    let result = new UnaryOperatorNode({
+      operator: this.operator,
+      argument: argument.result,
+    }).reduce();
+    return {
+      result,
+      detail: {
+        type: 'unary',
+        operator: this.operator,
+        argument: argument.detail,
+        value: result.value,
+      },
+    };
+  }
+  traverse(callback){
+    callback(this);
+    this.argument.traverse(callback);
+  }
+  toString(){
+    let string = `${this.argument}`;
+    if (!/^[\w.]+$/.test(string)) string = `(${string})`;
+    return `${this.operator}${string}`;
+  }
+}
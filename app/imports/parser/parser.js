@@ -6,3 +6,15 @@ const nearleyGrammar = nearley.Grammar.fromCompiled(grammar);
 export default function parser(){
   return new nearley.Parser(nearleyGrammar);
 }
+
+// Parse a whole string into a single parse tree, throws if the string is not
+// a complete expression
+export function parse(string){
+  let nearleyParser = parser();
+  nearleyParser.feed(string);
+  let results = nearleyParser.results;
+  if (!results.length){
+    throw new Meteor.Error('parsing', 'Unexpected end of input');
+  }
+  return results[0];
+}
@@ -0,0 +1,196 @@
+import parser from '/imports/parser/parser.js';
+import compute from '/imports/parser/compute.js';
+import rollResult from '/imports/parser/rollResult.js';
+import analyzeExpression from '/imports/parser/analyzeExpression.js';
+import { seededRng, averageRng, withRng } from '/imports/parser/rng.js';
+import assert from 'assert';
+
+function parse(string){
+  let nearleyParser = parser();
+  nearleyParser.feed(string);
+  return nearleyParser.results[0];
+}
+
+describe('parser', function () {
+  it('compiles arithmetic with symbols', function () {
+    let result = parse('1 + a * 3').compile({a: 2});
+    assert.equal(result.type, 'number');
+    assert.equal(result.value, 7);
+  });
+  it('keeps unresolved symbols uncompiled', function () {
+    let result = parse('(1 + b) * 2').compile({});
+    assert.equal(result.type, 'uncompiledNode');
+    assert.equal(result.value, '(1 + b) * 2');
+    assert.deepEqual(result.errors, [{
+      type: 'subsitution',
+      message: 'b could not be resolved',
+    }]);
+  });
+  it('only rolls dice when rolling', function () {
+    let node = parse('3d6 + 2');
+    assert.equal(node.compile().type, 'uncompiledNode');
+    let rolled = parse('3d6').roll();
+    assert.equal(rolled.type, 'numberArray');
+    assert.equal(rolled.value.length, 3);
+    rolled.value.forEach(die => assert(die >= 1 && die <= 6));
+    let reduced = node.reduce();
+    assert.equal(reduced.type, 'number');
+    assert(reduced.value >= 5 && reduced.value <= 20);
+  });
+  it('rolls a single die without a dice count', function () {
+    let rolled = parse('d20').roll();
+    assert.equal(rolled.value.length, 1);
+  });
+  it('calls built in functions', function () {
+    assert.equal(parse('max(1, a, 3)').compile({a: 5}).value, 5);
+    assert.equal(parse('floor(7 / 2)').compile().value, 3);
+    assert.equal(parse('ceil(7 / 2)').compile().value, 4);
+    assert.equal(parse('abs(0 - 4)').compile().value, 4);
+    assert.equal(parse('sum(2d1)').reduce().value, 2);
+    assert.equal(parse('nope(1)').compile().type, 'uncompiledNode');
+  });
+  it('only evaluates the chosen branch of an if statement', function () {
+    let result = parse('if (a > 1) 2 else b').compile({a: 2});
+    assert.equal(result.value, 2);
+    assert.equal(result.errors, undefined);
+  });
+  it('reads the values and properties of creature variables', function () {
+    let scope = {
+      strength: {value: 16, modifier: 3},
+      level: {value: 5},
+    };
+    assert.equal(compute('strength.modifier + level', scope).value, 8);
+    assert.equal(compute('strength', scope).value, 16);
+    assert.equal(compute('3level', scope).value, 15);
+    assert.equal(compute('2(1 + strength.modifier)', scope).value, 8);
+  });
+  it('negates numbers and booleans', function () {
+    assert.equal(compute('-2 * 3').value, -6);
+    assert.equal(compute('3 - -2').value, 5);
+    assert.equal(compute('!false').value, true);
+  });
+  it('reports parsing errors instead of throwing', function () {
+    let result = compute('1 +');
+    assert.equal(result.type, 'uncompiledNode');
+    assert.equal(result.errors[0].type, 'parsing');
+  });
+  it('keeps and drops dice, recording the dropped dice', function () {
+    let kept = parse('4d1kh3').roll();
+    assert.deepEqual(kept.value, [1, 1, 1]);
+    assert.equal(kept.dice.length, 4);
+    assert.equal(kept.dice.filter(die => die.dropped).length, 1);
+    let rolled = parse('4d6dl1').roll();
+    let lowest = Math.min(...rolled.dice.map(die => die.value));
+    assert.equal(rolled.value.length, 3);
+    assert.equal(rolled.dice.find(die => die.dropped).value, lowest);
+  });
+  it('rerolls matching dice once', function () {
+    let rolled = parse('2d1r<2').roll();
+    assert.deepEqual(rolled.value, [1, 1]);
+    assert.equal(rolled.dice.length, 4);
+    assert.equal(rolled.dice.filter(die => die.rerolled).length, 2);
+    assert.equal(`${parse('2d6r1')}`, '2d6r1');
+  });
+  it('chains dice modifiers without confusing them with names', function () {
+    assert.equal(`${parse('4d6kh3r1')}`, '4d6kh3r1');
+    assert.equal(`${parse('4d6r1kh3')}`, '4d6r1kh3');
+    assert.equal(`${parse('4d6!kh3r<2')}`, '4d6!kh3r<2');
+    assert.equal(compute('k2 + r1', {k2: 2, r1: 3}).value, 5);
+    assert.equal(compute('2k2', {k2: 2}).value, 4);
+  });
+  it('explodes dice that roll their maximum', function () {
+    let rolled = parse('10d2!').roll();
+    rolled.dice.forEach((die, index) => {
+      if (die.exploded){
+        assert.equal(die.value, 2);
+        assert(rolled.dice[index + 1].explosion);
+      }
+    });
+    assert.equal(rolled.value.length, rolled.dice.length);
+  });
+  it('counts successes', function () {
+    assert.equal(parse('8d1>=1').reduce().value, 8);
+    assert.equal(parse('8d1>=2').reduce().value, 0);
+    assert.equal(compute('8d1 >= 2', {}, 'reduce').value, true);
+  });
+  it('breaks down rolls into dice, constants and variables', function () {
+    let result = rollResult('2d1 + strength.modifier + 4', {
+      strength: {value: 16, modifier: 3},
+    });
+    assert.equal(result.total, 9);
+    assert.deepEqual(result.rolls[0].values, [1, 1]);
+    assert.equal(result.rolls[0].dice.length, 2);
+    assert.deepEqual(result.constants, [4]);
+    assert.deepEqual(result.variables, [{name: 'strength.modifier', value: 3}]);
+    assert.equal(
+      result.text,
+      '(2d1 [1, 1] + strength.modifier (3)) + 4 = 9'
+    );
+    assert.equal(rollResult('4d1kh3').text, '4d1kh3 [1, 1, 1, ~1~] = 3');
+    assert.equal(rollResult('2d1 + 1', {}, {doubleDice: true}).total, 5);
+  });
+  it('rolls the same dice with the same seed', function () {
+    let rollWithSeed = seed => withRng(seededRng(seed), () =>
+      parse('10d20').roll().value
+    );
+    assert.deepEqual(rollWithSeed('seed'), rollWithSeed('seed'));
+    assert.notDeepEqual(rollWithSeed('seed'), rollWithSeed('other seed'));
+  });
+  it('rolls the average of every die in average mode', function () {
+    withRng(averageRng, () => {
+      assert.equal(parse('2d6 + 3').reduce().value, 10);
+      assert.deepEqual(parse('2d8').roll().value, [4.5, 4.5]);
+    });
+  });
+  it('does not resolve inherited or null variables', function () {
+    let result = compute('constructor + 1', {});
+    assert.equal(result.type, 'uncompiledNode');
+    assert.equal(result.errors[0].message, 'constructor could not be resolved');
+    assert.equal(compute('toString.name', {}).type, 'uncompiledNode');
+    assert.equal(
+      compute('strength.constructor', {strength: {value: 10}}).type,
+      'uncompiledNode'
+    );
+    let nullResult = compute('x * 2', {x: null});
+    assert.equal(nullResult.type, 'uncompiledNode');
+    assert.equal(nullResult.errors[0].message, 'x could not be resolved');
+    assert.equal(compute('x.value', {x: null}).type, 'uncompiledNode');
+  });
+  it('reports division by zero when computing', function () {
+    let result = compute('10 / (x - 2)', {x: {value: 2}});
+    assert.equal(result.value, Infinity);
+    assert.deepEqual(result.errors, [{
+      type: 'evaluation',
+      message: '10 / (x - 2) divides by zero',
+    }]);
+  });
+  it('analyzes expressions without computing them', function () {
+    let variables = {strength: {value: 16, modifier: 3}, zero: {value: 0}};
+    let analysis = analyzeExpression(
+      'strength.modifier + dexterity.modifier + 1d4 / zero',
+      variables
+    );
+    assert.deepEqual(analysis.variables, ['strength', 'dexterity', 'zero']);
+    assert.deepEqual(analysis.unknownVariables, ['dexterity']);
+    assert.deepEqual(analysis.errors.map(e => e.message), [
+      '1d4 / zero divides by zero',
+      'dexterity is not a variable on this creature',
+    ]);
+    assert.equal(
+      analyzeExpression('\'a\' * 2').errors[0].message,
+      'Can\'t use * between string and number'
+    );
+    assert.equal(analyzeExpression('1 +').errors[0].type, 'parsing');
+  });
+  it('analyzes inherited and null variables without throwing', function () {
+    let analysis = analyzeExpression('constructor + x / 2', {x: null});
+    assert.deepEqual(analysis.unknownVariables, ['constructor']);
+    assert.deepEqual(analysis.errors.map(e => e.message), [
+      'constructor is not a variable on this creature',
+    ]);
+    assert.deepEqual(
+      analyzeExpression('hasOwnProperty.value * 2').variables,
+      ['hasOwnProperty']
+    );
+  });
+});
@@ -0,0 +1,41 @@
+import { Meteor } from 'meteor/meteor';
+import { Random } from 'meteor/random';
+
+// A random number generator (rng) is any object with a rollDie(diceSize)
+// function. Dice are rolled with the rng in this environment variable, so a
+// whole action can be rolled with a seeded or fixed rng without passing it
+// through every parse node.
+const currentRng = new Meteor.EnvironmentVariable();
+
+function generatorRng(generator){
+  return {
+    rollDie(diceSize){
+      return Math.floor(generator.fraction() * diceSize) + 1;
+    },
+  };
+}
+
+// Meteor's Random is cryptographically strong on the server
+export const defaultRng = generatorRng(Random);
+
+// The same seeds always roll the same dice, for tests and replays
+export function seededRng(...seeds){
+  return generatorRng(Random.createWithSeeds(...seeds));
+}
+
+// Every die rolls its average, so 2d6 + 3 is always 10. Totals can be
+// fractional, 3d6 is 10.5, so round them down where they are used.
+export const averageRng = {
+  rollDie(diceSize){
+    return (diceSize + 1) / 2;
+  },
+};
+
+export function getRng(){
+  return currentRng.get() || defaultRng;
+}
+
+// Roll all the dice inside fn with the given rng
+export function withRng(rng, fn){
+  return currentRng.withValue(rng, fn);
+}
@@ -0,0 +1,92 @@
+import { safeParse } from '/imports/parser/compute.js';
+import ConstantNode, { collectErrors } from '/imports/parser/parseTree/ConstantNode.js';
+import OperatorNode from '/imports/parser/parseTree/OperatorNode.js';
+import RollNode from '/imports/parser/parseTree/RollNode.js';
+
+// Roll a string, returning the total along with a breakdown of every die,
+// constant and variable that went into it. The result only contains plain
+// objects, so it can be stored and rendered later.
+// Critical hits can double the number of dice rolled with {doubleDice: true}
+export default function rollResult(string, scope, {doubleDice} = {}){
+  let node = safeParse(string);
+  if (doubleDice) node.traverse(doubleRolledDice);
+  let {result, detail} = node.breakdown(scope);
+  let total = result.reduce();
+  return {
+    expression: string,
+    detail,
+    rolls: findDetails(detail, 'roll'),
+    constants: findDetails(detail, 'constant').map(d => d.value),
+    variables: findDetails(detail, 'variable').map(({name, value}) => ({
+      name, value
+    })),
+    total: total.value,
+    errors: collectErrors(total),
+    text: `${renderDetail(detail)} = ${total}`,
+  };
+}
+
+function doubleRolledDice(node){
+  if (!(node instanceof RollNode)) return;
+  node.left = new OperatorNode({
+    left: node.left,
+    right: new ConstantNode({value: 2, type: 'number'}),
+    operator: '*',
+    fn: 'multiply',
+  });
+}
+
+// Render a detail as its expression with the rolled dice and variable values
+// filled in: 2d6 [3, 5] + strength.modifier (3)
+export function renderDetail(detail){
+  switch (detail.type){
+    case 'constant':
+      return detail.valueType === 'string' ?
+        `'${detail.value}'` :
+        `${detail.value}`;
+    case 'variable':
+      if (detail.value === undefined) return detail.name;
+      return `${detail.name} (${detail.value})`;
+    case 'roll':
+      if (!detail.dice) return detail.expression;
+      return `${detail.expression} [${detail.dice.map(renderDie).join(', ')}]`;
+    case 'operator':
+      return `${wrap(detail.left)} ${detail.operator} ${wrap(detail.right)}`;
+    case 'unary':
+      return `${detail.operator}${wrap(detail.argument)}`;
+    case 'call':
+      return `${detail.fn}(${detail.args.map(renderDetail).join(', ')})`;
+    case 'if':
+      if (detail.branch) return renderDetail(detail.branch);
+      return `if (${renderDetail(detail.condition)}) ` +
+        `${renderDetail(detail.consequent)} else ` +
+        `${renderDetail(detail.alternative)}`;
+    default:
+      return `${detail.value}`;
+  }
+}
+
+// Dice that don't count are struck through, dice that exploded are marked
+function renderDie(die){
+  if (die.dropped || die.rerolled) return `~${die.value}~`;
+  if (die.exploded) return `${die.value}!`;
+  return `${die.value}`;
+}
+
+function wrap(detail){
+  let string = renderDetail(detail);
+  return detail.type === 'operator' ? `(${string})` : string;
+}
+
+// Find all the details of the given type in the order they were written
+function findDetails(detail, type, found = []){
+  if (detail.type === type) found.push(detail);
+  [
+    detail.left, detail.right, detail.argument, detail.condition,
+    detail.branch, detail.consequent, detail.alternative,
+    ...(detail.args || []),
+  ].forEach(child => {
+    if (child) findDetails(child, type, found);
+  });
+  return found;
+}
@@ -0,0 +1,68 @@
+import SimpleSchema from 'simpl-schema';
+import Campaigns from '/imports/api/campaign/Campaigns.js';
+import Creatures from '/imports/api/creature/Creatures.js';
+import Libraries from '/imports/api/library/Libraries.js';
+
+Meteor.publish('campaigns', function(){
+  this.autorun(function (){
+    let userId = this.userId;
+    if (!userId) {
+      return this.ready();
+    }
+    return Campaigns.find({
+      $or: [
+        {owner: userId},
+        {players: userId},
+      ],
+    }, {
+      fields: {name: 1, owner: 1, players: 1, sessionNumber: 1},
+    });
+  });
+});
+
+let schema = new SimpleSchema({
+  campaignId: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+  },
+});
+
+Meteor.publish('campaign', function(campaignId){
+  schema.validate({ campaignId });
+  this.autorun(function (){
+    let userId = this.userId;
+    if (!userId) {
+      return this.ready();
+    }
+    let campaignCursor = Campaigns.find({
+      _id: campaignId,
+      $or: [
+        {owner: userId},
+        {players: userId},
+      ],
+    });
+    let campaign = campaignCursor.fetch()[0];
+    if (!campaign) return this.ready();
+    return [
+      campaignCursor,
+      // Every member can see which characters are in the campaign
+      Creatures.find({
+        _id: {$in: campaign.creatures},
+      }, {
+        fields: {
+          name: 1,
+          urlName: 1,
+          owner: 1,
+          color: 1,
+          picture: 1,
+          avatarPicture: 1,
+        },
+      }),
+      Libraries.find({
+        _id: {$in: campaign.libraries},
+      }, {
+        fields: {name: 1},
+      }),
+    ];
+  });
+});
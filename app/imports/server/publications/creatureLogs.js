@@ -0,0 +1,41 @@
+import SimpleSchema from 'simpl-schema';
+import Creatures from '/imports/api/creature/Creatures.js';
+import CreatureLogs, { LOG_LENGTH } from '/imports/api/creature/log/CreatureLogs.js';
+
+let schema = new SimpleSchema({
+  creatureId: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+  },
+});
+
+Meteor.publish('creatureLogs', function(creatureId){
+  schema.validate({ creatureId });
+  this.autorun(function (){
+    let userId = this.userId;
+    let creatureCursor = Creatures.find({
+      _id: creatureId,
+      $or: [
+        {readers: userId},
+        {writers: userId},
+        {owner: userId},
+        {public: true},
+      ],
+    });
+    if (!creatureCursor.count()) return this.ready();
+    // The creature's own entries and the entries of actions targeting it
+    return [
+      CreatureLogs.find({
+        $or: [
+          {creatureId},
+          {'targets.id': creatureId},
+        ],
+      }, {
+        sort: {date: -1},
+        limit: LOG_LENGTH,
+        // How to undo the entries is only needed on the server
+        fields: {undoOperations: 0},
+      }),
+    ];
+  });
+});
@@ -0,0 +1,65 @@
+import SimpleSchema from 'simpl-schema';
+import Encounters from '/imports/api/campaign/Encounter.js';
+import Creatures from '/imports/api/creature/Creatures.js';
+
+Meteor.publish('encounters', function(){
+  this.autorun(function (){
+    let userId = this.userId;
+    if (!userId) {
+      return this.ready();
+    }
+    return Encounters.find({
+      $or: [
+        {owner: userId},
+        {writers: userId},
+        {readers: userId},
+      ],
+    }, {
+      fields: {name: 1, owner: 1, writers: 1, readers: 1, public: 1},
+    });
+  });
+});
+
+let schema = new SimpleSchema({
+  encounterId: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+  },
+});
+
+Meteor.publish('encounter', function(encounterId){
+  schema.validate({ encounterId });
+  this.autorun(function (){
+    let userId = this.userId;
+    let encounterCursor = Encounters.find({
+      _id: encounterId,
+      $or: [
+        {readers: userId},
+        {writers: userId},
+        {owner: userId},
+        {public: true},
+      ],
+    });
+    let encounter = encounterCursor.fetch()[0];
+    if (!encounter) return this.ready();
+    let creatureIds = encounter.initiative.creatures.map(
+      initiative => initiative.creatureId
+    );
+    // Everyone watching the encounter can see who is in it, the rest of each
+    // creature is only published to those who can view the creature
+    return [
+      encounterCursor,
+      Creatures.find({
+        _id: {$in: creatureIds},
+      }, {
+        fields: {
+          name: 1,
+          urlName: 1,
+          color: 1,
+          picture: 1,
+          avatarPicture: 1,
+        },
+      }),
+    ];
+  });
+});
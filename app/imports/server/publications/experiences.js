@@ -1,6 +1,8 @@
 import SimpleSchema from 'simpl-schema';
 import Creatures from '/imports/api/creature/Creatures.js';
 import Experiences from '/imports/api/creature/experience/Experiences.js';
+import Parties from '/imports/api/campaign/Parties.js';
+import Campaigns from '/imports/api/campaign/Campaigns.js';
 
 let schema = new SimpleSchema({
   creatureId: {
@@ -30,3 +32,30 @@ Meteor.publish('experiences', function(creatureId){
     ];
   });
 });
+
+let groupSchema = new SimpleSchema({
+  partyId: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+    optional: true,
+  },
+  campaignId: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+    optional: true,
+  },
+});
+
+// The experiences awarded to a party or campaign, for its owner's ledger
+Meteor.publish('awardedExperiences', function({partyId, campaignId} = {}){
+  groupSchema.validate({ partyId, campaignId });
+  this.autorun(function (){
+    let userId = this.userId;
+    if (!userId || !partyId === !campaignId) return this.ready();
+    let group = partyId ?
+      Parties.findOne({_id: partyId, owner: userId}, {fields: {_id: 1}}) :
+      Campaigns.findOne({_id: campaignId, owner: userId}, {fields: {_id: 1}});
+    if (!group) return this.ready();
+    return Experiences.find(partyId ? {partyId} : {campaignId});
+  });
+});
@@ -3,5 +3,9 @@ import '/imports/server/publications/characterList.js';
 import '/imports/server/publications/library.js';
 import '/imports/server/publications/singleCharacter.js';
 import '/imports/server/publications/experiences.js';
+import '/imports/server/publications/creatureLogs.js';
+import '/imports/server/publications/encounters.js';
+import '/imports/server/publications/campaigns.js';
+import '/imports/server/publications/party.js';
 import '/imports/server/publications/users.js';
 import '/imports/server/publications/icons.js';
@@ -1,11 +1,35 @@
 import SimpleSchema from 'simpl-schema';
 import Libraries from '/imports/api/library/Libraries.js';
 import LibraryNodes from '/imports/api/library/LibraryNodes.js';
+import Campaigns, { shareableLibraryFilter } from '/imports/api/campaign/Campaigns.js';
 
 const standardLibraryIds = [
   'SRDLibraryGA3XWsd',
 ];
 
+// The libraries attached to the campaigns the user runs or plays in. The GM
+// must still be allowed to share each library, access to it may have changed
+// since it was attached
+function getCampaignLibraryIds(userId){
+  let libraryIds = [];
+  Campaigns.find({
+    $or: [
+      {owner: userId},
+      {players: userId},
+    ],
+  }, {
+    fields: {owner: 1, libraries: 1},
+  }).forEach(campaign => {
+    Libraries.find({
+      _id: {$in: campaign.libraries},
+      ...shareableLibraryFilter(campaign.owner),
+    }, {
+      fields: {_id: 1},
+    }).forEach(library => libraryIds.push(library._id));
+  });
+  return libraryIds;
+}
+
 Meteor.publish('standardLibraries', function(){
   return Libraries.find({_id: {$in: standardLibraryIds}});
 });
@@ -25,6 +49,7 @@ Meteor.publish('libraries', function(){
         {writers: this.userId},
         {readers: this.userId},
         {_id: {$in: subs}},
+        {_id: {$in: getCampaignLibraryIds(this.userId)}},
       ]
     });
   });
@@ -49,6 +74,7 @@ Meteor.publish('library', function(libraryId){
           {writers: this.userId},
           {readers: this.userId},
           {public: true},
+          {_id: {$in: getCampaignLibraryIds(this.userId)}},
         ],
       });
     } else {
@@ -0,0 +1,71 @@
+import SimpleSchema from 'simpl-schema';
+import Parties from '/imports/api/campaign/Parties.js';
+import Creatures from '/imports/api/creature/Creatures.js';
+import CreatureProperties from '/imports/api/creature/CreatureProperties.js';
+
+let schema = new SimpleSchema({
+  partyId: {
+    type: String,
+    regEx: SimpleSchema.RegEx.Id,
+  },
+});
+
+// A party with the stats and conditions of every member the user can view
+Meteor.publish('party', function(partyId){
+  schema.validate({ partyId });
+  this.autorun(function (){
+    let userId = this.userId;
+    if (!userId) {
+      return this.ready();
+    }
+    let partyCursor = Parties.find({
+      _id: partyId,
+      owner: userId,
+    });
+    let party = partyCursor.fetch()[0];
+    if (!party) return this.ready();
+    let creatureCursor = Creatures.find({
+      _id: {$in: party.creatures},
+      $or: [
+        {readers: userId},
+        {writers: userId},
+        {owner: userId},
+        {public: true},
+      ],
+    }, {
+      fields: {
+        name: 1,
+        urlName: 1,
+        color: 1,
+        picture: 1,
+        avatarPicture: 1,
+        owner: 1,
+        readers: 1,
+        writers: 1,
+        variables: 1,
+        deathSave: 1,
+        concentration: 1,
+      },
+    });
+    let creatureIds = creatureCursor.map(creature => creature._id);
+    return [
+      partyCursor,
+      creatureCursor,
+      CreatureProperties.find({
+        'ancestors.id': {$in: creatureIds},
+        type: 'buff',
+        applied: true,
+        removed: {$ne: true},
+      }, {
+        fields: {
+          name: 1,
+          type: 1,
+          applied: 1,
+          ancestors: 1,
+          removed: 1,
+          inactive: 1,
+        },
+      }),
+    ];
+  });
+});
@@ -0,0 +1,18 @@
+// Ask which creatures the action targets, then call back with their ids.
+// Actions that target self don't need to ask.
+export default function selectTargets({store, action, elementId}, callback){
+  if (action.target === 'self'){
+    callback([]);
+    return;
+  }
+  store.commit('pushDialogStack', {
+    component: 'select-targets-dialog',
+    elementId,
+    data: {
+      multiple: action.target !== 'singleTarget',
+    },
+    callback(targetIds){
+      if (targetIds) callback(targetIds);
+    },
+  });
+}
@@ -11,7 +11,9 @@ import LibraryEditDialog from '/imports/ui/library/LibraryEditDialog.vue';
 import LibraryNodeCreationDialog from '/imports/ui/library/LibraryNodeCreationDialog.vue';
 import LibraryNodeDialog from '/imports/ui/library/LibraryNodeDialog.vue';
 import MoveLibraryNodeDialog from '/imports/ui/library/MoveLibraryNodeDialog.vue'
+import SelectTargetsDialog from '/imports/ui/creature/SelectTargetsDialog.vue';
 import ShareDialog from '/imports/ui/sharing/ShareDialog.vue';
+import ShortRestDialog from '/imports/ui/creature/ShortRestDialog.vue';
 import TierTooLowDialog from '/imports/ui/user/TierTooLowDialog.vue';
 import UsernameDialog from '/imports/ui/user/UsernameDialog.vue';
 
@@ -29,7 +31,9 @@ export default {
   LibraryNodeCreationDialog,
   LibraryNodeDialog,
   MoveLibraryNodeDialog,
+  SelectTargetsDialog,
 	ShareDialog,
+  ShortRestDialog,
   TierTooLowDialog,
   UsernameDialog,
 };
@@ -0,0 +1,25 @@
+import analyzeExpression from '/imports/parser/analyzeExpression.js';
+
+// Analyzes calculations while they are being typed, so forms can warn about
+// problems before the property is saved and the creature is recomputed
+export default {
+  inject: {
+    context: { default: {} }
+  },
+  data(){ return {
+    typedCalculations: {},
+  };},
+  methods: {
+    typeCalculation(key, value){
+      this.$set(this.typedCalculations, key, value);
+    },
+    // Errors of the typed calculation, or the saved errors once the typed
+    // calculation matches what is stored
+    calculationErrors(key, savedErrors){
+      let typed = this.typedCalculations[key];
+      if (typed === undefined || typed === this.model[key]) return savedErrors;
+      let variables = this.context.creature && this.context.creature.variables;
+      return analyzeExpression(typed, variables).errors;
+    },
+  },
+};
@@ -20,6 +20,7 @@ import SlotForm from '/imports/ui/properties/forms/SlotForm.vue';
 import SpellListForm from '/imports/ui/properties/forms/SpellListForm.vue';
 import SpellForm from '/imports/ui/properties/forms/SpellForm.vue';
 import ToggleForm from '/imports/ui/properties/forms/ToggleForm.vue';
+import TriggerForm from '/imports/ui/properties/forms/TriggerForm.vue';
 
 export default {
   action: ActionForm,
@@ -44,4 +45,5 @@ export default {
   spellList: SpellListForm,
   spell: SpellForm,
   toggle: ToggleForm,
+  trigger: TriggerForm,
 };
@@ -17,6 +17,7 @@ import ProficiencyViewer from '/imports/ui/properties/viewers/ProficiencyViewer.
 import SkillViewer from '/imports/ui/properties/viewers/SkillViewer.vue';
 import SpellListViewer from '/imports/ui/properties/viewers/SpellListViewer.vue';
 import SpellViewer from '/imports/ui/properties/viewers/SpellViewer.vue';
+import TriggerViewer from '/imports/ui/properties/viewers/TriggerViewer.vue';
 
 export default {
   action: ActionViewer,
@@ -38,4 +39,5 @@ export default {
   skill: SkillViewer,
   spellList: SpellListViewer,
   spell: SpellViewer,
+  trigger: TriggerViewer,
 };
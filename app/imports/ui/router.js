@@ -10,6 +10,11 @@ import SingleLibraryPage from '/imports/ui/pages/SingleLibraryPage.vue'
 import SingleLibraryToolbarItems from '/imports/ui/library/SingleLibraryToolbarItems.vue'
 import CharacterSheetPage from '/imports/ui/pages/CharacterSheetPage.vue';
 import CharacterSheetToolbar from '/imports/ui/creature/character/CharacterSheetToolbar.vue';
+import EncounterList from '/imports/ui/pages/EncounterList.vue';
+import CampaignList from '/imports/ui/pages/CampaignList.vue';
+import CampaignPage from '/imports/ui/pages/CampaignPage.vue';
+import PartyPage from '/imports/ui/pages/PartyPage.vue';
+import EncounterPage from '/imports/ui/pages/EncounterPage.vue';
 import SignIn from '/imports/ui/pages/SignIn.vue' ;
 import Register from '/imports/ui/pages/Register.vue';
 import IconAdmin from '/imports/ui/icons/IconAdmin.vue';
@@ -143,6 +148,50 @@ RouterFactory.configure(factory => {
       meta: {
         title: 'Character Sheet',
       },
+    },{
+      path: '/party/:id',
+      components: {
+        default: PartyPage,
+      },
+      meta: {
+        title: 'Party',
+      },
+      beforeEnter: ensureLoggedIn,
+    },{
+      path: '/campaigns',
+      components: {
+        default: CampaignList,
+      },
+      meta: {
+        title: 'Campaigns',
+      },
+      beforeEnter: ensureLoggedIn,
+    },{
+      path: '/campaign/:id',
+      components: {
+        default: CampaignPage,
+      },
+      meta: {
+        title: 'Campaign',
+      },
+      beforeEnter: ensureLoggedIn,
+    },{
+      path: '/encounters',
+      components: {
+        default: EncounterList,
+      },
+      meta: {
+        title: 'Encounters',
+      },
+      beforeEnter: ensureLoggedIn,
+    },{
+      path: '/encounter/:id',
+      components: {
+        default: EncounterPage,
+      },
+      meta: {
+        title: 'Encounter',
+      },
     },{
       path: '/friends',
       components: {
@@ -1,22 +1,12 @@
 import Creatures from '/imports/api/creature/Creatures.js';
+import compute from '/imports/parser/compute.js';
 
 // Computations resolve to numbers
 // vars is a dict of variables to substitute
 export function evaluateComputation(string, vars){
   console.warn('Deprecated, evaluate computation should be done by the computation engine')
   if (!string) return string;
-  // Replace all the string variables with numbers if possible
-  let substitutedString = string.replace(
-    /\w*[a-z]\w*/gi,
-    sub => vars.hasOwnProperty(sub) ? vars[sub] : sub
-  );
-
-  // Evaluate the expression to a number or return it as is.
-  try {
-    return math.eval(substitutedString);
-  } catch (e){
-    return substitutedString;
-  }
+  return compute(string, vars).value;
 }
 
 // Strings can have computations in bracers like so: {computation}
@@ -0,0 +1,16 @@
+/*
+ * Turns a comma separated list of XP thresholds into a sorted XP table, or
+ * undefined if the list is empty so that the default table is used instead.
+ */
+export default function parseXpTable(string){
+  let xpTable = (string || '').split(',')
+    .map(entry => parseInt(entry.trim()))
+    .filter(xp => Number.isFinite(xp) && xp >= 0)
+    .sort((a, b) => a - b);
+  if (xpTable.length) return xpTable;
+}
+
+// Example use
+//
+// parseXpTable('0, 300, 900') // [0, 300, 900]
+// parseXpTable('') // undefined